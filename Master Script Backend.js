@@ -13,6 +13,8 @@
 // Ambang batas penggunaan budget untuk perhitungan status
 const BUDGET_OVER_THRESHOLD = 100;
 const BUDGET_WARNING_THRESHOLD = 80;
+// Jumlah bulan riwayat envelope yang dikirim ke Budget Status card
+const ENVELOPE_HISTORY_MONTHS = 6;
 
 /**
  * Nama-nama sheet yang digunakan oleh script.
@@ -22,6 +24,27 @@ const CATEGORY_SHEET = "Category Setup";
 const GOALS_SHEET = "Goals Setup";
 const SCHEDULED_SHEET_NAME = "ScheduledTransactions";
 const DATA_SHEET = 'Input';
+const FX_RATES_SHEET = 'FX Rates';
+const LOANS_SHEET = 'Loans';
+const SPLITS_SHEET = 'Splits';
+const ENVELOPE_TRANSFERS_SHEET = 'Envelope Transfers';
+const HOLDINGS_SHEET = 'Holdings';
+const PRICES_SHEET = 'Prices';
+const RULES_SHEET = 'Rules';
+const CATEGORY_RULES_SHEET = 'Category Rules';
+const CATEGORIZATION_LOG_SHEET = 'Categorization Log';
+const DUPLICATES_SHEET = 'Duplicate Review';
+const ZAKAT_PAYMENTS_SHEET = 'Zakat Payments';
+const GOAL_ALLOCATIONS_SHEET = 'Goal Allocations';
+
+// Pairing transfer-out / transfer-in: selisih tanggal maksimum (hari) dan toleransi nominal
+// untuk transfer beda mata uang (relatif, setelah konversi ke base currency).
+const TRANSFER_PAIR_WINDOW_DAYS = 3;
+const TRANSFER_PAIR_FX_TOLERANCE = 0.02;
+
+// Mata uang default untuk baris tanpa kolom Currency dan acuan kolom Rate di sheet FX Rates.
+// Base currency pelaporan bisa diganti lewat Script Property BASE_CURRENCY atau filters.baseCurrency.
+const DEFAULT_CURRENCY = 'IDR';
 
 // #endregion
 
@@ -65,12 +88,22 @@ function doGet(e) {
  * @param {boolean} forceRefresh Jika true, akan mengabaikan cache dan mengambil data baru.
  * @returns {object} Objek berisi semua data yang sudah diproses untuk setiap komponen dashboard.
  * @property {Array<Object>} goalsStatus Status progres setiap tujuan finansial.
+ * @property {Array<Object>} goalAllocationCandidates Transaksi tabungan periode ini yang belum dialokasikan ke goal.
  * @property {Array<Object>} netFlow Data arus kas bersih per periode.
+ * @property {Object} netWorthHistory Deret net worth bulanan total & per owner (lihat calculateNetWorthHistory_).
+ * @property {Object} cashFlowForecast Proyeksi saldo harian wallet likuid (lihat calculateCashFlowForecast_).
  * @property {Array<Object>} budgetStatus Status penggunaan budget.
  * @property {Array<Object>} liabilitiesUpcoming Gabungan data utang dan transaksi mendatang.
+ * @property {Array<Object>} orphanTransfers Kaki transfer (out/in) yang tidak punya pasangan di wallet lain.
+ * @property {Array<Object>} duplicateCandidates Pasangan transaksi yang kemungkinan tercatat dua kali (lihat calculateDuplicateCandidates_).
+ * @property {Array<Object>} anomalies Transaksi tidak biasa periode ini beserta link ke baris Input (lihat calculateTransactionAnomalies_).
+ * @property {Array<Object>} subscriptions Tagihan berulang yang terdeteksi dari Input (lihat calculateSubscriptions_).
+ * @property {Object} zakat Kewajiban zakat mal per Wallet Owner per akhir periode (lihat calculateZakat_).
+ * @property {Array<Object>} loans Pinjaman dari sheet Loans beserta jadwal amortisasi, sisa tenor dan tanggal lunas.
  * @property {Array<Object>} ratios Rasio pengeluaran (Living, Playing, Saving).
  * @property {Array<Array>} sankeyData Data untuk Google Sankey Chart, berupa array berisi [owner, purpose, amount].
  * @property {number} totalSaving Total nilai tabungan dari dompet tipe 'Other Asset' dan 'Savings'.
+ * @property {string} baseCurrency Mata uang pelaporan; semua nominal di payload sudah dikonversi ke mata uang ini.
  */
 function getDashboardData(period, filters, forceRefresh) {
   try {
@@ -86,15 +119,22 @@ function getDashboardData(period, filters, forceRefresh) {
     // Jika tidak ada periode atau filter, gunakan default
     const safePeriod = period || 'current_month';
     const safeFilters = filters || {};
+    const baseCurrency = resolveBaseCurrency_(safeFilters);
+    getFxConverter_(baseCurrency, forceRefresh); // muat kurs FX sekali di awal (memo per eksekusi)
 
     // --- Mengambil semua data mentah yang diperlukan sekali saja ---
     // Untuk DATA_SHEET dan SCHEDULED_SHEET_NAME, kita prioritaskan kesegaran data (forceRefresh = true)
     // Untuk sheet setup, kita bisa gunakan cache yang lebih lama
-    const allTransactionsData = getRawSheetData_(DATA_SHEET, forceRefresh);
+    getDuplicateReviews_(forceRefresh); // Opsional; keputusan review duplikat (sheet Duplicate Review)
+    const allTransactionsData = excludeConfirmedDuplicates_(getRawSheetData_(DATA_SHEET, forceRefresh));
     const scheduledTransactionsData = getRawSheetData_(SCHEDULED_SHEET_NAME, forceRefresh);
     const walletSetupData = getRawSheetData_(WALLET_SETUP_SHEET, false); // Cache untuk Wallet Setup
     const categorySetupData = getRawSheetData_(CATEGORY_SHEET, false); // Cache untuk Category Setup
     const goalsSetupData = getRawSheetData_(GOALS_SHEET, false); // Cache untuk Goals Setup
+    getRawSheetData_(LOANS_SHEET, forceRefresh, true); // Opsional; dibaca ulang oleh getLiabilityBalances_ dari cache
+    getSplits_(forceRefresh); // Opsional; alokasi split dipakai getFilteredTransactions_
+    getHoldingsData_(forceRefresh); // Opsional; valuasi investasi (Holdings & Prices) untuk wallet & net worth
+    getClassifier_(forceRefresh); // Opsional; aturan klasifikasi saving / liabilitas / likuid (sheet Rules)
 
     const { startDate, endDate } = getPeriodDates_(period, filters.startDate, filters.endDate);
     const { startDate: prevStartDate, endDate: prevEndDate } = getPreviousPeriodDates_(period, startDate);
@@ -110,15 +150,18 @@ function getDashboardData(period, filters, forceRefresh) {
     const prevTotalSaving = calculateTotalSaving_(prevTransactions);
     kpiSummary.saving = totalSaving;
     kpiSummary.prev_saving = prevTotalSaving;
+    // Perubahan nilai pasar investasi periode ini (Savings Performance = saving + investmentGain)
+    const investmentOwner = safeFilters.walletOwner || null;
+    kpiSummary.investmentGain = calculateInvestmentGainChange_(startDate, endDate, baseCurrency, investmentOwner);
+    kpiSummary.prev_investmentGain = calculateInvestmentGainChange_(prevStartDate, prevEndDate, baseCurrency, investmentOwner);
 
     // Wallet status (dipakai juga untuk aset terkini tampilan)
-  let walletStatus = calculateWalletStatus_(allTransactionsData, walletSetupData);
+  let walletStatus = calculateWalletStatus_(allTransactionsData, walletSetupData, baseCurrency);
 
     // compute liquid assets by summing up from the walletStatus result
     const liquidAssets = (walletStatus || []).reduce((total, wallet) => {
-      const type = (wallet.Type || '').toLowerCase();
-      // Cek apakah tipe wallet termasuk dalam kategori likuid
-      if (type.includes('cash') || type.includes('bank') || type.includes('e-wallet')) {
+      // Cek apakah tipe wallet termasuk dalam kategori likuid (aturan Liquid Wallet Type)
+      if (getClassifier_().isLiquidWalletType(wallet.Type)) {
         return total + (wallet.Balance || 0);
       }
       return total;
@@ -128,11 +171,12 @@ function getDashboardData(period, filters, forceRefresh) {
     // assign liquidAssets into KPI summary for frontend convenience
     kpiSummary.liquidAssets = liquidAssets;
 
-    // --- Net Worth Snapshot (BARU) ---
-    const currentNetWorthSnapshot = calculateNetWorthSnapshot_(allTransactionsData, endDate); // global snapshot
+    // --- Net Worth Snapshot (BARU) --- langsung sesuai scope walletOwner (global bila tidak difilter)
+    const netWorthOwner = safeFilters.walletOwner || null;
+    const currentNetWorthSnapshot = calculateNetWorthSnapshot_(allTransactionsData, endDate, netWorthOwner, baseCurrency);
     let previousNetWorthSnapshot = { assets: 0, liabilities: 0, netWorth: 0 };
     if (prevEndDate && !isNaN(prevEndDate.getTime()) && prevEndDate.getFullYear() > 1970) {
-      previousNetWorthSnapshot = calculateNetWorthSnapshot_(allTransactionsData, prevEndDate); // global prev snapshot
+      previousNetWorthSnapshot = calculateNetWorthSnapshot_(allTransactionsData, prevEndDate, netWorthOwner, baseCurrency);
     }
     kpiSummary.netWorth = currentNetWorthSnapshot.netWorth;
     kpiSummary.prev_netWorth = previousNetWorthSnapshot.netWorth;
@@ -140,39 +184,53 @@ function getDashboardData(period, filters, forceRefresh) {
   // Flag filtered state (currently only walletOwner drives Net Worth override)
   kpiSummary.isFiltered = !!safeFilters.walletOwner;
 
-  // === Override Net Worth & Wallet Status when walletOwner filter applied ===
+  // === Filter Wallet Status when walletOwner filter applied ===
   if (safeFilters.walletOwner) {
-      try {
-        const ownerFilteredCurrent = calculateNetWorthSnapshot_(allTransactionsData, endDate, safeFilters.walletOwner);
-        let ownerFilteredPrev = { assets: 0, liabilities: 0, netWorth: 0 };
-        if (prevEndDate && !isNaN(prevEndDate.getTime()) && prevEndDate.getFullYear() > 1970) {
-          ownerFilteredPrev = calculateNetWorthSnapshot_(allTransactionsData, prevEndDate, safeFilters.walletOwner);
-        }
-        kpiSummary.netWorth = ownerFilteredCurrent.netWorth;
-        kpiSummary.prev_netWorth = ownerFilteredPrev.netWorth;
-        // Filter walletStatus list itself to reflect owner scope
-        walletStatus = (walletStatus || []).filter(w => (w.Owner || '') === safeFilters.walletOwner);
-      } catch(e) {
-        console.warn('Owner-filtered net worth calculation failed:', e && e.message);
-      }
+      // Filter walletStatus list itself to reflect owner scope
+      walletStatus = (walletStatus || []).filter(w => (w.Owner || '') === safeFilters.walletOwner);
     }
 
     // Komponen lain
-    const goalsStatus = calculateGoalsStatus_(goalsSetupData, transactions, filters);
+    const goalsStatus = calculateGoalsStatus_(goalsSetupData, transactions, filters, baseCurrency);
+    const goalAllocationCandidates = calculateGoalAllocationCandidates_(allTransactionsData, safeFilters, startDate, endDate);
     const netFlow = calculateNetFlow_(allTransactionsData, safePeriod, safeFilters);
-    const budgetStatus = calculateBudgetStatus_(categorySetupData, allTransactionsData, safePeriod, safeFilters);
+    const netWorthHistory = calculateNetWorthHistory_(allTransactionsData, baseCurrency);
+    const budgetStatus = calculateBudgetStatus_(categorySetupData, allTransactionsData, safePeriod, safeFilters, scheduledTransactionsData);
     const liabilitiesUpcoming = calculateLiabilitiesUpcoming_(scheduledTransactionsData, allTransactionsData, safePeriod, safeFilters);
+    const loans = getLiabilityBalances_(allTransactionsData, endDate, safeFilters.walletOwner, baseCurrency).loans;
+    const orphanTransfers = calculateOrphanTransfers_(allTransactionsData, safeFilters, baseCurrency);
+    const duplicateCandidates = calculateDuplicateCandidates_(allTransactionsData, safeFilters, baseCurrency);
+    const anomalies = calculateTransactionAnomalies_(allTransactionsData, transactions, startDate, safeFilters);
+    const subscriptions = calculateSubscriptions_(allTransactionsData, scheduledTransactionsData, safeFilters, baseCurrency);
+    const zakat = calculateZakat_(allTransactionsData, walletStatus, endDate < new Date() ? endDate : new Date(), safeFilters, baseCurrency);
     const ratios = calculateRatios_(categorySetupData, allTransactionsData, safePeriod, safeFilters);
     const sankeyData = calculateSankeyData_(allTransactionsData, safePeriod, safeFilters);
     const expenseTreeMap = calculateExpenseTreeMapData_(transactions, prevTransactions);
+    const cashFlowForecast = calculateCashFlowForecast_(allTransactionsData, scheduledTransactionsData, walletStatus, safeFilters);
 
     const dashboardData = {
+      baseCurrency,
       kpiSummary,
       goalsStatus,
+      goalAllocationCandidates,
       netFlow,
+      netWorthHistory,
+      cashFlowForecast,
       budgetStatus,
       liabilitiesUpcoming,
+      loans,
+      orphanTransfers,
+      duplicateCandidates,
+      anomalies,
+      subscriptions,
+      zakat,
       ratios,
+      periodInfo: getPeriodInfo_(),
+      // Mata uang tanpa kurs di FX Rates: nilainya dikeluarkan dari semua total
+      unconverted: {
+        Currencies: getFxConverter_(baseCurrency).missingCurrencies(),
+        Wallets: walletStatus.filter(w => w.Unconverted).map(w => w.Wallet)
+      },
       sankeyData,
       totalSaving,
       expenseTreeMap,
@@ -238,6 +296,16 @@ function getDashboardData(period, filters, forceRefresh) {
       dashboardData.financialInsights = {};
     }
 
+    // --- Dana darurat & skor kesehatan finansial ---
+    try {
+      const asOf = endDate < new Date() ? endDate : new Date();
+      const coverage = calculateEmergencyCoverage_(allTransactionsData, categorySetupData, walletStatus, asOf, safeFilters);
+      dashboardData.financialInsights.coverage = coverage;
+      dashboardData.financialInsights.healthScore = calculateHealthScore_(allTransactionsData, kpiSummary, budgetStatus, goalsStatus, coverage, asOf, safeFilters, baseCurrency);
+    } catch (e) {
+      console.warn('Financial health calculation failed:', e && e.message);
+    }
+
     // Perbarui cache dengan data terbaru (hanya jika ukuran kecil)
     putCacheIfSmall_(cache, cacheKey, dashboardData, 300); // Cache selama 5 menit (300 detik)
     console.log(forceRefresh ? "Force refresh: Data dashboard diperbarui dan disimpan ke cache." : "Data dashboard disimpan ke cache.");
@@ -306,13 +374,22 @@ function getFilterOptions(forceRefresh) {
       if (subIdx >= 0) subcategories = [...new Set(inputData.map(r => r[subIdx]).filter(Boolean))];
     }
     
+    // Daftar mata uang (FX Rates + Currency di Wallet Setup) untuk pilihan base currency
+    let currencies = [DEFAULT_CURRENCY];
+    try {
+      currencies = getFxConverter_(resolveBaseCurrency_(), forceRefresh).currencies;
+    } catch (e) {
+      console.warn('Gagal membaca daftar mata uang:', e && e.message);
+    }
+
     const options = {
         wallets,
         walletOwners,
         expensePurposes,
         categories,
         subcategories,
-        notes
+        notes,
+        currencies
     };
 
     // Perbarui cache dengan opsi terbaru (hanya jika ukuran kecil)
@@ -336,25 +413,18 @@ function getFilterOptions(forceRefresh) {
  * @returns {Object} Objek berisi ringkasan KPI.
  */
 function calculateKpiSummary_(currentTransactions, previousTransactions) {
-  // --- TAMBAHAN: Definisikan ulang regex untuk deteksi tabungan tersamarkan ---
-  // Ini perlu agar kita bisa memisahkan expense murni dari 'disguised saving'.
-  const disguisedSavingRegex = new RegExp('(^|[^a-z])(tabungan|menabung|saving|savings?|autosave|investment|investasi|deposito?|reksadana|mutualfund|saham|stock|equity|obligasi|bond|pensiun|retirement|emergencyfund|aset|asset|capital)([^a-z]|$)', 'i');
+  // Deteksi 'disguised saving' (expense yang sebenarnya tabungan) memakai aturan sheet Rules
+  const classifier = getClassifier_();
 
   let currentIncome = 0, currentExpense = 0;
   (currentTransactions || []).forEach(t => {
+    if (t.IsInternalTransfer) return; // transfer antar wallet sendiri bukan income/expense
     // Menggunakan Amount yang sudah dinormalisasi (+/-) dari getFilteredTransactions_
     if (t.Amount > 0) {
       currentIncome += t.Amount;
     } else { // Amount < 0 (expense atau disguised saving)
-      const category = (t.Category || '').toString().trim();
-      const subcategory = (t.Subcategory || '').toString().trim();
-      const type = (t.Type || '').toString().trim().toLowerCase();
-
-      // Cek apakah ini 'disguised saving'
-      const isDisguisedSaving = type === 'expense' && (disguisedSavingRegex.test(category) || disguisedSavingRegex.test(subcategory));
-
       // Hanya tambahkan ke expense jika BUKAN disguised saving
-      if (!isDisguisedSaving) {
+      if (!classifier.isDisguisedSaving(t)) {
         currentExpense += -t.Amount; // Expense disimpan sebagai nilai positif
       }
     }
@@ -362,14 +432,11 @@ function calculateKpiSummary_(currentTransactions, previousTransactions) {
 
   let prevIncome = 0, prevExpense = 0;
   (previousTransactions || []).forEach(t => {
+    if (t.IsInternalTransfer) return;
     if (t.Amount > 0) {
       prevIncome += t.Amount;
     } else { // Amount < 0
-      const category = (t.Category || '').toString().trim();
-      const subcategory = (t.Subcategory || '').toString().trim();
-      const type = (t.Type || '').toString().trim().toLowerCase();
-      const isDisguisedSaving = type === 'expense' && (disguisedSavingRegex.test(category) || disguisedSavingRegex.test(subcategory));
-      if (!isDisguisedSaving) {
+      if (!classifier.isDisguisedSaving(t)) {
         prevExpense += -t.Amount;
       }
     }
@@ -392,12 +459,31 @@ function calculateKpiSummary_(currentTransactions, previousTransactions) {
 
 /**
  * Menghitung progres setiap tujuan finansial.
+ * Sumber dana (kolom Source): kolom `Linked Wallets` di Goals Setup -> saldo wallet; baris di sheet Goal Allocations -> total
+ * alokasi; selain itu transaksi periode dengan Purpose = Goal Owner, Category 'Saving/Investment', Subcategory = nama goal.
+ * Lihat buildGoalFunding_. Metrik pacing/status/risk dari calculateGoalPacing_.
  * @param {Array<Array>} goalsData Data mentah dari sheet Goals Setup.
  * @param {Array<Object>} filteredTransactions Data transaksi yang sudah difilter.
  * @param {object} filters Filter tambahan.
+ * @param {string} [baseCurrency] Mata uang pelaporan dashboard (saldo Linked Wallets dikonversi ke sini).
  * @returns {Array<Object>} Array objek yang berisi data status untuk setiap goal.
  */
-function calculateGoalsStatus_(goalsData, filteredTransactions, filters) {
+function calculateGoalsStatus_(goalsData, filteredTransactions, filters, baseCurrency) {
+  const today = new Date(); today.setHours(0,0,0,0);
+  return collectGoalInputs_(goalsData, filteredTransactions, baseCurrency).map(g => formatGoalStatus_(g, calculateGoalPacing_(g, today)));
+}
+
+/**
+ * Data dasar tiap goal untuk perhitungan pacing: target, deadline, dana terkumpul dan tanggal mulai (T0).
+ * T0 = kolom opsional `Start Date` di Goals Setup bila valid; selain itu tanggal kontribusi pertama
+ * (hari ini bila belum ada kontribusi). T0 juga menjadi tanggal harga Nominal Needed untuk inflasi.
+ * @param {Array<Array>} goalsData Data mentah dari sheet Goals Setup.
+ * @param {Array<Object>} filteredTransactions Data transaksi periode (dipakai sumber 'Transactions').
+ * @param {string} [baseCurrency] Mata uang pelaporan (default: resolveBaseCurrency_).
+ * @returns {Array<{goalName: string, goalOwner: string, nominalNeeded: number, inflationRate: number, totalNeeded: number, deadline: ?Date,
+ *   collected: number, earliest: Date, source: string, wallets: Array<string>}>} totalNeeded = target setelah inflasi.
+ */
+function collectGoalInputs_(goalsData, filteredTransactions, baseCurrency) {
   if (!goalsData || !filteredTransactions) throw new Error('Data sheet Goals Setup atau transaksi tidak tersedia.');
 
   const currentGoalsData = [...goalsData];
@@ -406,10 +492,13 @@ function calculateGoalsStatus_(goalsData, filteredTransactions, filters) {
   const goalOwnerCol = goalsHeaders.indexOf('Goal Owner');
   const nominalNeededCol = goalsHeaders.indexOf('Nominal Needed');
   const deadlineCol = goalsHeaders.indexOf('Deadline');
+  const inflationCol = ciIndex_(goalsHeaders, 'Inflation Rate');
+  const startDateCol = ciIndex_(goalsHeaders, 'Start Date');
+  const defaultInflation = getDefaultGoalInflationRate_();
 
   // Ambil semua transaksi mentah (ALL) untuk mencari earliest contribution (T0)
   let allTxRaw = [];
-  try { allTxRaw = getRawSheetData_(DATA_SHEET, false); } catch(e) { /* ignore */ }
+  try { allTxRaw = excludeConfirmedDuplicates_(getRawSheetData_(DATA_SHEET, false)); } catch(e) { /* ignore */ }
   const allTxHeaders = allTxRaw.length ? allTxRaw[0] : [];
   const idxDate = allTxHeaders.indexOf('Date');
   const idxType = allTxHeaders.indexOf('Transaction Type');
@@ -418,26 +507,32 @@ function calculateGoalsStatus_(goalsData, filteredTransactions, filters) {
   const idxSubcat = allTxHeaders.indexOf('Subcategory');
   const idxPurpose = allTxHeaders.indexOf('Expense Purpose');
 
-  const today = new Date(); today.setHours(0,0,0,0);
+  const funding = buildGoalFunding_(goalsData, allTxRaw, baseCurrency);
 
-  const materializedData = [];
+  const inputs = [];
 
   currentGoalsData.forEach(goal => {
     const goalName = goal[goalNameCol];
     if (!goalName) return;
     const goalOwner = goal[goalOwnerCol];
-    const totalNeeded = parseFloat(goal[nominalNeededCol]) || 0;
+    const nominalNeeded = parseFloat(goal[nominalNeededCol]) || 0;
+    const inflationRate = inflationCol !== -1 && String(goal[inflationCol]).trim() !== '' ? parseInflationRate_(goal[inflationCol]) : defaultInflation;
     const deadline = goal[deadlineCol] ? new Date(goal[deadlineCol]) : null;
     if (deadline && !isNaN(deadline.getTime())) deadline.setHours(0,0,0,0);
 
-    // 1. Hitung collected (dari filteredTransactions = periode aktif) sesuai kriteria existing
-    const collected = filteredTransactions
+    const fund = funding[normStr_(goalName)] || null;
+
+    // 1. Hitung collected: saldo wallet / alokasi bila ada, selain itu dari filteredTransactions (periode aktif) sesuai kriteria existing
+    const collected = fund ? fund.collected : filteredTransactions
       .filter(t => t.Purpose === goalOwner && t.Category === 'Saving/Investment' && t.Subcategory === goalName && t.Amount > 0)
       .reduce((s,t)=> s + t.Amount, 0);
 
-    // 2. Earliest contribution (T0) scanning seluruh transaksi historis
-    let earliest = null;
-    if (allTxRaw.length > 1) {
+    // 2. T0: Start Date tetap bila diisi, selain itu earliest contribution dari seluruh transaksi historis
+    const startRaw = startDateCol !== -1 ? goal[startDateCol] : '';
+    const startDate = startRaw ? new Date(startRaw) : null;
+    let earliest = startDate && !isNaN(startDate.getTime()) ? startDate : (fund ? fund.earliest : null);
+    if (earliest) earliest = new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate());
+    if (!earliest && !fund && allTxRaw.length > 1) {
       for (let r = 1; r < allTxRaw.length; r++) {
         const row = allTxRaw[r];
         const cat = row[idxCategory];
@@ -462,82 +557,202 @@ function calculateGoalsStatus_(goalsData, filteredTransactions, filters) {
     // Fallback jika belum ada kontribusi
     if (!earliest) { earliest = new Date(); earliest.setHours(0,0,0,0); }
 
-    // 3. Pacing metrics
-    const periodSpanMs = (deadline && !isNaN(deadline.getTime())) ? (deadline.getTime() - earliest.getTime()) : 0;
-    const elapsedMs = Math.max(0, today.getTime() - earliest.getTime());
-    let elapsedRatio = 0;
-    if (periodSpanMs > 0) elapsedRatio = Math.min(1, Math.max(0, elapsedMs / periodSpanMs));
-
-    const targetCumulative = totalNeeded * elapsedRatio;
-    const gapAmount = collected - targetCumulative;
-    const gapPct = totalNeeded > 0 ? (gapAmount / totalNeeded) : 0; // bisa negatif
-    const remainingAmount = Math.max(0, totalNeeded - collected);
-    const daysLeft = (deadline && !isNaN(deadline.getTime())) ? Math.round((deadline.getTime() - today.getTime())/86400000) : null;
-    const elapsedDays = Math.max(1, Math.round(elapsedMs/86400000));
-    const paceNeededPerDay = (daysLeft !== null && daysLeft > 0) ? (remainingAmount / daysLeft) : (remainingAmount > 0 ? remainingAmount : 0);
-    const actualPacePerDay = collected > 0 ? (collected / elapsedDays) : 0;
-    const projectedFinish = (actualPacePerDay > 0 && remainingAmount > 0) ? new Date(today.getTime() + (remainingAmount/actualPacePerDay)*86400000) : (collected >= totalNeeded ? today : null);
-
-    // 4. Status determination
-    const pctAchieved = totalNeeded > 0 ? (collected / totalNeeded) : (collected > 0 ? 1 : 0);
-    let status = 'On Track';
-    if (totalNeeded === 0) {
-      status = collected > 0 ? 'Completed' : 'On Track';
-    } else if (pctAchieved >= 1.1) {
-      status = 'Overfunded';
-    } else if (pctAchieved >= 1.0) {
-      status = 'Completed';
-    } else if (deadline && today > deadline) {
-      // Deadline terlewati & belum 100%
-      if (pctAchieved >= 0.95) status = 'Completed';
-      else if (pctAchieved >= 0.80) status = 'Overdue';
-      else status = 'Failed';
-    } else if (collected === 0 && elapsedRatio > 0.25) {
-      status = 'No Activity';
-    } else {
-      // GapPct thresholds
-      if (gapPct >= 0.05) status = 'Ahead';
-      else if (gapPct > -0.05) status = 'On Track';
-      else if (gapPct > -0.15) status = 'Slightly Behind';
-      else if (gapPct > -0.30) status = 'At Risk';
-      else status = 'Off Track';
-    }
-
-    // 5. Risk score (0–100) – lebih tinggi = lebih berisiko
-    let riskScore = 0;
-    if (totalNeeded > 0) {
-      const deficitRatio = 1 - pctAchieved; // 0 (aman) .. 1 (belum mulai)
-      const timeBuffer = 1 - elapsedRatio;  // 1 (baru mulai) .. 0 (hampir deadline)
-      const paceRatio = (paceNeededPerDay > 0) ? (paceNeededPerDay / (actualPacePerDay || paceNeededPerDay)) : 0; // >=1 berarti butuh pace >= actual
-      riskScore = (deficitRatio * 60) + (timeBuffer * 20) + (paceRatio * 20);
-      riskScore = Math.max(0, Math.min(100, Math.round(riskScore)));
-    }
-
-    const progressPercentage = totalNeeded > 0 ? (collected / totalNeeded) * 100 : (collected>0?100:0);
+    // Target = nilai masa depan Nominal Needed pada deadline (lihat inflateGoalTarget_)
+    const totalNeeded = inflateGoalTarget_(nominalNeeded, inflationRate, earliest, deadline);
 
-    materializedData.push({
-      UniqueID: Utilities.getUuid(),
-      GoalName: goalName,
-      Deadline: deadline ? formatDateForDisplay_(deadline) : 'N/A',
-      StartDate: earliest ? formatDateForDisplay_(earliest) : 'N/A',
-      ProgressPercentage: parseFloat(progressPercentage.toFixed(1)),
-      RemainingAmount: remainingAmount,
-      Collected: collected,
-      TotalNeeded: totalNeeded,
-      TargetCumulative: parseFloat(targetCumulative.toFixed(2)),
-      GapAmount: parseFloat(gapAmount.toFixed(2)),
-      GapPct: parseFloat((gapPct*100).toFixed(2)),
-      ElapsedRatio: parseFloat((elapsedRatio*100).toFixed(1)),
-      PaceNeededPerDay: parseFloat(paceNeededPerDay.toFixed(2)),
-      ActualPacePerDay: parseFloat(actualPacePerDay.toFixed(2)),
-      DaysLeft: daysLeft,
-      ProjectedFinish: projectedFinish ? formatDateForDisplay_(projectedFinish) : '',
-      RiskScore: riskScore,
-      Status: status
+    inputs.push({
+      goalName, goalOwner, nominalNeeded, inflationRate, totalNeeded, deadline, collected, earliest,
+      source: fund ? fund.source : 'Transactions',
+      wallets: fund ? fund.wallets : []
     });
   });
 
-  return materializedData;
+  return inputs;
+}
+
+/** Inflasi default target goal (% per tahun) dari Script Property GOAL_INFLATION_RATE; 0 bila kosong. */
+function getDefaultGoalInflationRate_() {
+  return parseInflationRate_(PropertiesService.getScriptProperties().getProperty('GOAL_INFLATION_RATE'));
+}
+
+/**
+ * Nilai `Inflation Rate` dalam persen per tahun: "5%" atau 5 -> 5, "0.5%" atau 0.5 -> 0.5.
+ * Angka selalu dibaca sebagai poin persen; sel berformat persen Sheets terbaca sebagai pecahan (5% -> 0.05),
+ * jadi isi kolom ini sebagai angka biasa atau teks berakhiran '%'.
+ */
+function parseInflationRate_(value) {
+  return Math.max(0, normalizeNumber_(value) || 0);
+}
+
+/**
+ * Nilai target pada tanggal tertentu bila Nominal Needed dianggap harga pada tanggal mulai goal (T0):
+ * nominal × (1 + rate)^(tahun dari T0 ke tanggal). Tanpa tanggal / rate 0 -> nominal.
+ * @param {number} nominal Nominal Needed.
+ * @param {number} ratePct Inflasi per tahun dalam persen.
+ * @param {Date} baseDate Tanggal harga nominal (T0).
+ * @param {?Date} atDate Deadline (atau hari ini untuk nilai sekarang).
+ * @returns {number}
+ */
+function inflateGoalTarget_(nominal, ratePct, baseDate, atDate) {
+  if (!(ratePct > 0) || !atDate || isNaN(atDate.getTime()) || !baseDate) return nominal;
+  const years = Math.max(0, (atDate.getTime() - baseDate.getTime()) / (365.25 * 86400000));
+  return nominal * Math.pow(1 + ratePct / 100, years);
+}
+
+/**
+ * Metrik pacing satu goal (dipakai calculateGoalsStatus_ dan simulateGoal).
+ * @param {Object} g Hasil collectGoalInputs_ (totalNeeded, collected, earliest, deadline).
+ * @param {Date} today Tanggal acuan (jam 00:00).
+ * @param {number} [extraPacePerDay] Tambahan setoran per hari yang diasumsikan (what-if), ikut ke pace aktual & proyeksi.
+ * @param {number} [lumpSum] Setoran sekaligus hari ini (what-if): menambah dana terkumpul & mengurangi sisa,
+ *   tapi tidak ikut pace aktual (pace tetap dari dana yang benar-benar terkumpul sejak awal goal).
+ * @returns {Object} { elapsedRatio, targetCumulative, gapAmount, gapPct, remainingAmount, daysLeft, paceNeededPerDay,
+ *   actualPacePerDay, projectedFinish, status, riskScore, progressPercentage }
+ */
+function calculateGoalPacing_(g, today, extraPacePerDay, lumpSum) {
+  const { totalNeeded, earliest, deadline } = g;
+  const collected = g.collected + (lumpSum || 0);
+  // 3. Pacing metrics
+  const periodSpanMs = (deadline && !isNaN(deadline.getTime())) ? (deadline.getTime() - earliest.getTime()) : 0;
+  const elapsedMs = Math.max(0, today.getTime() - earliest.getTime());
+  let elapsedRatio = 0;
+  if (periodSpanMs > 0) elapsedRatio = Math.min(1, Math.max(0, elapsedMs / periodSpanMs));
+
+  const targetCumulative = totalNeeded * elapsedRatio;
+  const gapAmount = collected - targetCumulative;
+  const gapPct = totalNeeded > 0 ? (gapAmount / totalNeeded) : 0; // bisa negatif
+  const remainingAmount = Math.max(0, totalNeeded - collected);
+  const daysLeft = (deadline && !isNaN(deadline.getTime())) ? Math.round((deadline.getTime() - today.getTime())/86400000) : null;
+  const elapsedDays = Math.max(1, Math.round(elapsedMs/86400000));
+  const paceNeededPerDay = (daysLeft !== null && daysLeft > 0) ? (remainingAmount / daysLeft) : (remainingAmount > 0 ? remainingAmount : 0);
+  const actualPacePerDay = (g.collected > 0 ? (g.collected / elapsedDays) : 0) + (extraPacePerDay || 0);
+  const projectedFinish = (actualPacePerDay > 0 && remainingAmount > 0) ? new Date(today.getTime() + (remainingAmount/actualPacePerDay)*86400000) : (collected >= totalNeeded ? today : null);
+
+  // 4. Status determination
+  const pctAchieved = totalNeeded > 0 ? (collected / totalNeeded) : (collected > 0 ? 1 : 0);
+  let status = 'On Track';
+  if (totalNeeded === 0) {
+    status = collected > 0 ? 'Completed' : 'On Track';
+  } else if (pctAchieved >= 1.1) {
+    status = 'Overfunded';
+  } else if (pctAchieved >= 1.0) {
+    status = 'Completed';
+  } else if (deadline && today > deadline) {
+    // Deadline terlewati & belum 100%
+    if (pctAchieved >= 0.95) status = 'Completed';
+    else if (pctAchieved >= 0.80) status = 'Overdue';
+    else status = 'Failed';
+  } else if (collected === 0 && elapsedRatio > 0.25) {
+    status = 'No Activity';
+  } else {
+    // GapPct thresholds
+    if (gapPct >= 0.05) status = 'Ahead';
+    else if (gapPct > -0.05) status = 'On Track';
+    else if (gapPct > -0.15) status = 'Slightly Behind';
+    else if (gapPct > -0.30) status = 'At Risk';
+    else status = 'Off Track';
+  }
+
+  // 5. Risk score (0–100) – lebih tinggi = lebih berisiko
+  let riskScore = 0;
+  if (totalNeeded > 0) {
+    const deficitRatio = 1 - pctAchieved; // 0 (aman) .. 1 (belum mulai)
+    const timeBuffer = 1 - elapsedRatio;  // 1 (baru mulai) .. 0 (hampir deadline)
+    const paceRatio = (paceNeededPerDay > 0) ? (paceNeededPerDay / (actualPacePerDay || paceNeededPerDay)) : 0; // >=1 berarti butuh pace >= actual
+    riskScore = (deficitRatio * 60) + (timeBuffer * 20) + (paceRatio * 20);
+    riskScore = Math.max(0, Math.min(100, Math.round(riskScore)));
+  }
+
+  const progressPercentage = totalNeeded > 0 ? (collected / totalNeeded) * 100 : (collected>0?100:0);
+
+  return { elapsedRatio, targetCumulative, gapAmount, gapPct, remainingAmount, daysLeft, paceNeededPerDay,
+    actualPacePerDay, projectedFinish, status, riskScore, progressPercentage };
+}
+
+/** Baris goalsStatus untuk payload dashboard dari input goal + hasil calculateGoalPacing_. */
+function formatGoalStatus_(g, pace) {
+  const today = new Date(); today.setHours(0,0,0,0);
+  return {
+    UniqueID: Utilities.getUuid(),
+    GoalName: g.goalName,
+    Deadline: g.deadline ? formatDateForDisplay_(g.deadline) : 'N/A',
+    StartDate: g.earliest ? formatDateForDisplay_(g.earliest) : 'N/A',
+    ProgressPercentage: parseFloat(pace.progressPercentage.toFixed(1)),
+    RemainingAmount: pace.remainingAmount,
+    Collected: g.collected,
+    TotalNeeded: g.totalNeeded,
+    NominalNeeded: g.nominalNeeded,
+    TodayValue: Math.round(inflateGoalTarget_(g.nominalNeeded, g.inflationRate, g.earliest, today)),
+    InflationRate: g.inflationRate,
+    TargetCumulative: parseFloat(pace.targetCumulative.toFixed(2)),
+    GapAmount: parseFloat(pace.gapAmount.toFixed(2)),
+    GapPct: parseFloat((pace.gapPct*100).toFixed(2)),
+    ElapsedRatio: parseFloat((pace.elapsedRatio*100).toFixed(1)),
+    PaceNeededPerDay: parseFloat(pace.paceNeededPerDay.toFixed(2)),
+    ActualPacePerDay: parseFloat(pace.actualPacePerDay.toFixed(2)),
+    DaysLeft: pace.daysLeft,
+    ProjectedFinish: pace.projectedFinish ? formatDateForDisplay_(pace.projectedFinish) : '',
+    RiskScore: pace.riskScore,
+    Status: pace.status,
+    Source: g.source,
+    LinkedWallets: g.wallets
+  };
+}
+
+/**
+ * What-if untuk satu goal: setoran bulanan tambahan, setoran sekaligus hari ini dan/atau deadline baru.
+ * Dana terkumpul dihitung sama seperti kartu Goals Status (periode & filter dashboard), lalu pacing dihitung ulang
+ * dengan calculateGoalPacing_ untuk kondisi sekarang (Baseline) dan skenario (Scenario).
+ * @param {string} goalName Nama goal (kolom Goals).
+ * @param {object} scenario { monthlyContribution, lumpSum, deadline ('yyyy-MM-dd') }
+ * @param {string} period Periode dashboard.
+ * @param {object} filters Filter dashboard.
+ * @returns {Object} { GoalName, Baseline, Scenario, OnTimeBefore, OnTimeAfter, DaysSaved } — Baseline/Scenario berbentuk baris goalsStatus.
+ */
+function simulateGoal(goalName, scenario, period, filters) {
+  try {
+    const safeFilters = filters || {};
+    const sc = scenario || {};
+    const { startDate, endDate } = getPeriodDates_(period || 'current_month', safeFilters.startDate, safeFilters.endDate);
+    const allTransactionsData = excludeConfirmedDuplicates_(getRawSheetData_(DATA_SHEET, false));
+    const transactions = getFilteredTransactions_(allTransactionsData, safeFilters, startDate, endDate);
+    const goal = collectGoalInputs_(getRawSheetData_(GOALS_SHEET, false), transactions, resolveBaseCurrency_(safeFilters))
+      .find(g => normStr_(g.goalName) === normStr_(goalName));
+    if (!goal) throw new Error(`Goal '${goalName}' tidak ditemukan.`);
+
+    const monthly = Math.max(0, normalizeNumber_(sc.monthlyContribution));
+    const lumpSum = Math.max(0, normalizeNumber_(sc.lumpSum));
+    let deadline = goal.deadline;
+    if (sc.deadline) {
+      const m = String(sc.deadline).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (!m) throw new Error('Format deadline harus yyyy-MM-dd.');
+      deadline = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    }
+
+    const today = new Date(); today.setHours(0,0,0,0);
+    const baseline = calculateGoalPacing_(goal, today);
+    const adjusted = {
+      ...goal,
+      deadline,
+      totalNeeded: inflateGoalTarget_(goal.nominalNeeded, goal.inflationRate, goal.earliest, deadline)
+    };
+    // Setoran bulanan tambahan dianggap merata per hari (12 bulan / 365 hari); lump sum hanya memotong sisa
+    const result = calculateGoalPacing_(adjusted, today, monthly * 12 / 365, lumpSum);
+    const onTime = (pace, dl) => !!pace.projectedFinish && (!dl || pace.projectedFinish <= dl);
+    return {
+      GoalName: goal.goalName,
+      Scenario: { ...formatGoalStatus_({ ...adjusted, collected: goal.collected + lumpSum }, result), MonthlyContribution: monthly, LumpSum: lumpSum },
+      Baseline: formatGoalStatus_(goal, baseline),
+      OnTimeBefore: onTime(baseline, goal.deadline),
+      OnTimeAfter: onTime(result, deadline),
+      DaysSaved: baseline.projectedFinish && result.projectedFinish
+        ? Math.round((baseline.projectedFinish - result.projectedFinish) / 86400000)
+        : null
+    };
+  } catch (e) {
+    console.error('simulateGoal error', e.stack || e);
+    throw new Error('Gagal mensimulasikan goal: ' + e.message);
+  }
 }
 
 /**
@@ -555,10 +770,13 @@ function calculateNetFlow_(allTransactionsData, period, filters) {
   let transactionsData = getFilteredTransactions_(allTransactionsData, filters, startDate, endDate);
 
   const netFlowByPeriod = {};
+  const monthStartDay = getMonthStartDay_();
 
   transactionsData.forEach(t => {
+      if (t.IsInternalTransfer) return;
       const date = new Date(t.Date);
-      const yearMonth = Utilities.formatDate(date, "GMT+7", "yyyy-MM");
+      // Dikelompokkan per bulan keuangan (MONTH_START_DAY), label = bulan tempat ia dimulai
+      const yearMonth = financialMonthKey_(date, monthStartDay);
       
       if (!netFlowByPeriod[yearMonth]) {
         netFlowByPeriod[yearMonth] = { Income: 0, Expense: 0 };
@@ -592,10 +810,11 @@ function calculateNetFlow_(allTransactionsData, period, filters) {
  * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input.
  * @param {string} period Periode waktu.
  * @param {object} filters Filter tambahan.
+ * @param {Array<Array>} [scheduledData] Data mentah ScheduledTransactions untuk forecast akhir periode.
  * @returns {Array<Object>} Data Budget Status.
  */
-function calculateBudgetStatus_(categoryData, allTransactionsData, period, filters) {
-  const { startDate, endDate } = getPeriodDates_(period);
+function calculateBudgetStatus_(categoryData, allTransactionsData, period, filters, scheduledData) {
+  const { startDate, endDate } = getPeriodDates_(period, filters.startDate, filters.endDate);
   
   if (!categoryData || !allTransactionsData) throw new Error(`Data sheet Category Setup atau Input tidak tersedia.`);
 
@@ -605,25 +824,60 @@ function calculateBudgetStatus_(categoryData, allTransactionsData, period, filte
   const transactions = getFilteredTransactions_(allTransactionsData, filters, startDate, endDate);
   
   const catHeaders = currentCategoriesData.shift();
+  const idxRollover = ciIndex_(catHeaders, 'Rollover');
+  const idxFrequency = ciIndex_(catHeaders, 'Budget Frequency');
+  const idxScopeOwner = ciIndex_(catHeaders, 'Wallet Owner');
+  const idxScopePurpose = ciIndex_(catHeaders, 'Expense Purpose');
+
+  // Rentang untuk prorata budget. Periode 'all' (1900-9999) dibatasi ke transaksi pertama s/d hari ini.
+  let budgetStart = startDate, budgetEnd = endDate;
+  if (period === 'all') {
+    const firstTx = transactions.reduce((min, t) => (!min || t.Date < min ? t.Date : min), null);
+    budgetStart = firstTx || new Date();
+    budgetEnd = new Date();
+  }
   
   const budgetTree = {};
 
-  // 1. Bangun struktur budget dari 'Category Setup'
+  // 1. Kumpulkan baris budget per subkategori (bisa lebih dari satu bila di-scope ke Owner / Purpose)
+  const budgetRowsBySubcat = {};
   currentCategoriesData.forEach(cat => {
     const categoryName = cat[catHeaders.indexOf('Category')];
     const subcategoryName = cat[catHeaders.indexOf('Subcategory')];
-    const budgetAmount = parseFloat(cat[catHeaders.indexOf('Budget Subcategory')] || 0);
+    const baseBudget = parseFloat(cat[catHeaders.indexOf('Budget Subcategory')] || 0);
+    if (!(baseBudget > 0)) return;
+    const key = `${categoryName}|${subcategoryName}`;
+    (budgetRowsBySubcat[key] = budgetRowsBySubcat[key] || { categoryName, subcategoryName, rows: [] }).rows.push({
+      base: baseBudget,
+      frequency: normalizeBudgetFrequency_(idxFrequency !== -1 ? cat[idxFrequency] : ''),
+      rollover: idxRollover !== -1 && isTruthyFlag_(cat[idxRollover]),
+      owner: idxScopeOwner !== -1 ? String(cat[idxScopeOwner] || '').trim() : '',
+      purpose: idxScopePurpose !== -1 ? String(cat[idxScopePurpose] || '').trim() : ''
+    });
+  });
 
-    if (budgetAmount > 0) {
-      if (!budgetTree[categoryName]) {
-        budgetTree[categoryName] = { BudgetAmount: 0, ActualExpense: 0, subcategories: {} };
-      }
-      budgetTree[categoryName].BudgetAmount += budgetAmount;
-      budgetTree[categoryName].subcategories[subcategoryName] = { BudgetAmount: budgetAmount, ActualExpense: 0 };
+  // 2. Pilih budget yang sesuai filter owner/purpose lalu prorata ke rentang periode
+  Object.values(budgetRowsBySubcat).forEach(({ categoryName, subcategoryName, rows }) => {
+    const parts = selectScopedBudgetRows_(rows, filters);
+    if (!parts.length) return;
+    const budgetAmount = parts.reduce((s, p) => s + prorateBudget_(p.base, p.frequency, budgetStart, budgetEnd), 0);
+    const frequencies = [...new Set(parts.map(p => p.frequency))];
+    if (!budgetTree[categoryName]) {
+      budgetTree[categoryName] = { BudgetAmount: 0, ActualExpense: 0, subcategories: {} };
     }
+    budgetTree[categoryName].BudgetAmount += budgetAmount;
+    budgetTree[categoryName].subcategories[subcategoryName] = {
+      BudgetAmount: budgetAmount,
+      BaseBudget: parts.reduce((s, p) => s + p.base, 0),
+      Frequency: frequencies.length === 1 ? frequencies[0] : 'mixed',
+      Parts: parts.map(p => ({ base: p.base, frequency: p.frequency })),
+      Scope: { owner: parts.every(p => p.owner) ? filters.walletOwner || '' : '', purpose: parts.every(p => p.purpose) ? filters.expensePurpose || '' : '' },
+      ActualExpense: 0,
+      Rollover: parts.some(p => p.rollover)
+    };
   });
 
-  // 2. Akumulasi pengeluaran dari transaksi yang sudah difilter
+  // 3. Akumulasi pengeluaran dari transaksi yang sudah difilter
   transactions.forEach(t => {
     // Pengeluaran adalah transaksi dengan Amount negatif
     if (t.Amount < 0) {
@@ -637,23 +891,279 @@ function calculateBudgetStatus_(categoryData, allTransactionsData, period, filte
     }
   });
 
-  // 3. Format output final
+  // 4. Envelope: carry-over (Rollover), pindahan antar envelope, dan riwayat bulanan
+  const envelopes = calculateEnvelopeLedger_(budgetTree, allTransactionsData, filters, startDate, endDate);
+
+  // 5. Format output final
   const finalBudgetStatus = [];
   Object.keys(budgetTree).forEach(categoryName => {
     const categoryData = budgetTree[categoryName];
     // Hanya tampilkan jika ada budget
     if (categoryData.BudgetAmount > 0) {
-        finalBudgetStatus.push(formatBudgetRow_(categoryName, 'All', categoryData.BudgetAmount, categoryData.ActualExpense));
-        Object.keys(categoryData.subcategories).forEach(subcategoryName => {
+        const subRows = Object.keys(categoryData.subcategories).map(subcategoryName => {
             const subcatData = categoryData.subcategories[subcategoryName];
-            finalBudgetStatus.push(formatBudgetRow_(categoryName, subcategoryName, subcatData.BudgetAmount, subcatData.ActualExpense));
+            const row = formatBudgetRow_(categoryName, subcategoryName, subcatData.BudgetAmount, subcatData.ActualExpense, envelopes[`${categoryName}|${subcategoryName}`]);
+            row.BaseBudget = subcatData.BaseBudget;
+            row.BudgetFrequency = subcatData.Frequency;
+            row.ScopeOwner = subcatData.Scope.owner;
+            row.ScopePurpose = subcatData.Scope.purpose;
+            return row;
         });
+        const categoryEnvelope = {
+          Rollover: subRows.some(s => s.Rollover),
+          CarriedIn: subRows.reduce((s, b) => s + b.CarriedIn, 0),
+          Transfers: subRows.reduce((s, b) => s + b.Transfers, 0)
+        };
+        finalBudgetStatus.push(formatBudgetRow_(categoryName, 'All', categoryData.BudgetAmount, categoryData.ActualExpense, categoryEnvelope));
+        subRows.forEach(row => finalBudgetStatus.push(row));
     }
   });
 
+  // 6. Forecast akhir periode (burn rate + jadwal yang masih akan jatuh tempo)
+  applyBudgetForecast_(finalBudgetStatus, scheduledData, filters, budgetStart, budgetEnd, transactions);
+
   return finalBudgetStatus;
 }
 
+/**
+ * Menambahkan proyeksi pengeluaran akhir periode ke setiap baris budget (in-place).
+ *   ProjectedExpense = realisasi + (realisasi tanpa jadwal terposting / hari berjalan) * sisa hari + ScheduledRemaining
+ * ScheduledRemaining = expense ScheduledTransactions aktif yang jatuh tempo setelah hari ini s/d akhir periode
+ * (baris 'All' memakai semua jadwal di kategori tsb). Transaksi hasil posting jadwal (lihat isPostedScheduleTx_)
+ * tetap dihitung di realisasi tapi tidak ikut burn rate, agar sewa/cicilan di awal bulan tidak diproyeksikan
+ * berulang setiap hari. ForecastStatus 'Projected Over' menandai baris yang belum Over tapi diproyeksikan
+ * melewati dana tersedia, dengan selisihnya di ProjectedOverrun.
+ * @param {Array<Object>} [transactions] Transaksi periode (hasil getFilteredTransactions_).
+ */
+function applyBudgetForecast_(rows, scheduledData, filters, periodStart, periodEnd, transactions) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const today = new Date(); today.setHours(23, 59, 59, 999);
+  const start = new Date(periodStart); start.setHours(0, 0, 0, 0);
+  const end = new Date(periodEnd); end.setHours(23, 59, 59, 999);
+  const totalDays = Math.max(1, Math.round((end - start) / dayMs));
+  const elapsedDays = today < start ? 0 : Math.min(totalDays, Math.round((Math.min(today, end) - start) / dayMs));
+  const remainingDays = totalDays - elapsedDays;
+
+  // Jadwal expense yang belum jatuh tempo (setelah hari ini) di dalam periode
+  const scheduledBy = {};
+  if (scheduledData && remainingDays > 0) {
+    const from = today > start ? new Date(today.getTime() + 1) : start;
+    getScheduledOccurrences_(scheduledData, from, end, filters).forEach(o => {
+      if (o.Amount >= 0) return;
+      const amt = -o.Amount;
+      scheduledBy[`${o.Category}|All`] = (scheduledBy[`${o.Category}|All`] || 0) + amt;
+      if (o.Subcategory) scheduledBy[`${o.Category}|${o.Subcategory}`] = (scheduledBy[`${o.Category}|${o.Subcategory}`] || 0) + amt;
+    });
+  }
+
+  // Pengeluaran periode yang berasal dari jadwal (berulang maupun sekali jalan) yang sudah diposting
+  const postedBy = {};
+  const isPosted = isPostedScheduleTx_(scheduledData);
+  (transactions || []).forEach(t => {
+    if (t.Amount >= 0 || !isPosted(t)) return;
+    postedBy[`${t.Category}|All`] = (postedBy[`${t.Category}|All`] || 0) - t.Amount;
+    postedBy[`${t.Category}|${t.Subcategory}`] = (postedBy[`${t.Category}|${t.Subcategory}`] || 0) - t.Amount;
+  });
+
+  rows.forEach(row => {
+    const recurringSpend = Math.max(0, row.ActualExpense - (postedBy[`${row.Category}|${row.Subcategory}`] || 0));
+    const burn = elapsedDays > 0 ? recurringSpend / elapsedDays : 0;
+    const scheduled = scheduledBy[`${row.Category}|${row.Subcategory}`] || 0;
+    const projected = row.ActualExpense + burn * remainingDays + scheduled;
+    const funds = row.BudgetAmount + (row.CarriedIn || 0) + (row.Transfers || 0);
+    row.ScheduledRemaining = scheduled;
+    row.ProjectedExpense = projected;
+    row.ProjectedOverrun = Math.max(0, projected - funds);
+    row.ForecastStatus = row.Status === 'Over' ? 'Over' : (row.ProjectedOverrun > 0 ? 'Projected Over' : 'On Track');
+  });
+}
+
+/**
+ * Membuat predikat "transaksi ini hasil posting ScheduledTransactions": Category, Subcategory dan Description
+ * sama dengan baris jadwal yang punya LastPosted (status apa pun, termasuk yang sudah Completed),
+ * dan tanggalnya tidak melewati LastPosted tsb.
+ * @param {Array<Array>} scheduledData Data mentah sheet ScheduledTransactions.
+ * @returns {function(Object): boolean}
+ */
+function isPostedScheduleTx_(scheduledData) {
+  if (!scheduledData || scheduledData.length < 2) return () => false;
+  const headers = scheduledData[0];
+  const idx = {
+    last: ciIndex_(headers, 'LastPosted'), category: ciIndex_(headers, 'Category'),
+    subcategory: ciIndex_(headers, 'Subcategory'), desc: ciIndex_(headers, 'Description')
+  };
+  if (idx.last === -1) return () => false;
+  const val = (row, i) => (i !== -1 ? row[i] : '');
+  const keyOf = (cat, sub, desc) => [cat, sub, desc].map(normStr_).join('|');
+  const lastPostedBy = {};
+  scheduledData.slice(1).forEach(row => {
+    const last = val(row, idx.last) ? new Date(val(row, idx.last)) : null;
+    if (!last || isNaN(last.getTime())) return;
+    last.setHours(23, 59, 59, 999);
+    const key = keyOf(val(row, idx.category), val(row, idx.subcategory), val(row, idx.desc));
+    if (!lastPostedBy[key] || last > lastPostedBy[key]) lastPostedBy[key] = last;
+  });
+  return t => {
+    const last = lastPostedBy[keyOf(t.Category, t.Subcategory, t.Description)];
+    return !!last && t.Date <= last;
+  };
+}
+
+/**
+ * Memilih baris budget sebuah subkategori sesuai filter dashboard.
+ * Kolom opsional `Wallet Owner` / `Expense Purpose` di Category Setup membatasi budget ke scope tsb.
+ *  - Dengan filter: pakai baris milik owner/purpose itu. Jika subkategori tidak punya baris ber-scope sama sekali,
+ *    budget household (tanpa scope) yang dipakai; jika punya tapi bukan untuk owner ini, tidak ada budget.
+ *  - Tanpa filter: pakai budget household; jika hanya ada baris ber-scope, jumlahkan semuanya.
+ * @param {Array<Object>} rows Baris budget satu subkategori ({ owner, purpose, ... }).
+ * @param {object} filters Filter dashboard.
+ * @returns {Array<Object>} Baris terpilih (bisa kosong).
+ */
+function selectScopedBudgetRows_(rows, filters) {
+  const pick = (list, field, wanted) => {
+    const hasScoped = list.some(r => r[field]);
+    if (wanted) {
+      const own = list.filter(r => r[field] === wanted);
+      if (own.length || hasScoped) return own;
+      return list;
+    }
+    const household = list.filter(r => !r[field]);
+    return household.length ? household : list;
+  };
+  return pick(pick(rows, 'owner', filters.walletOwner), 'purpose', filters.expensePurpose);
+}
+
+/**
+ * Menghitung posisi envelope per subkategori ber-budget.
+ *  - Transfers: net pindahan dana dari/ke envelope lain (sheet Envelope Transfers) dalam periode.
+ *  - CarriedIn: hanya untuk subkategori dengan kolom Rollover aktif; akumulasi (budget + transfers - spent)
+ *    semua bulan sebelum bulan startDate, sejak aktivitas pertama envelope. Bisa negatif (overspent).
+ *  - History: ENVELOPE_HISTORY_MONTHS bulan terakhir s/d bulan endDate (maks bulan ini).
+ * @param {object} budgetTree Struktur budget hasil calculateBudgetStatus_.
+ * @returns {Object<string, Object>} key "Category|Subcategory" -> { Rollover, CarriedIn, Transfers, History }
+ */
+function calculateEnvelopeLedger_(budgetTree, allTransactionsData, filters, startDate, endDate) {
+  const monthStartDay = getMonthStartDay_();
+  // Indeks bulan keuangan (MONTH_START_DAY), bukan bulan kalender
+  const monthIdx = d => {
+    const s = financialMonthStart_(d, monthStartDay);
+    return s.getFullYear() * 12 + s.getMonth();
+  };
+  const monthLabel = idx => `${Math.floor(idx / 12)}-${String(idx % 12 + 1).padStart(2, '0')}`;
+
+  const envelopes = {}; // key -> { budget, rollover, spent: {month: amt}, transfers: {month: amt}, periodTransfers, firstMonth }
+  Object.keys(budgetTree).forEach(cat => {
+    Object.keys(budgetTree[cat].subcategories).forEach(sub => {
+      const info = budgetTree[cat].subcategories[sub];
+      envelopes[`${cat}|${sub}`] = { parts: info.Parts, rollover: info.Rollover, spent: {}, transfers: {}, periodTransfers: 0, firstMonth: Infinity };
+    });
+  });
+  const result = {};
+  if (!Object.keys(envelopes).length) return result;
+
+  // Pengeluaran bulanan sepanjang waktu (filter owner/wallet dll tetap berlaku)
+  const allRange = getPeriodDates_('all');
+  getFilteredTransactions_(allTransactionsData, filters, allRange.startDate, allRange.endDate).forEach(t => {
+    if (t.Amount >= 0) return;
+    const env = envelopes[`${t.Category}|${t.Subcategory}`];
+    if (!env) return;
+    const m = monthIdx(t.Date);
+    env.spent[m] = (env.spent[m] || 0) - t.Amount;
+    env.firstMonth = Math.min(env.firstMonth, m);
+  });
+
+  // Pindahan dana antar envelope
+  const moves = getRawSheetData_(ENVELOPE_TRANSFERS_SHEET, false, true);
+  if (moves && moves.length > 1) {
+    const h = moves[0];
+    const idxDate = ciIndex_(h, 'Date');
+    const idxFromCat = ciIndex_(h, 'From Category');
+    const idxFromSub = ciIndex_(h, 'From Subcategory');
+    const idxToCat = ciIndex_(h, 'To Category');
+    const idxToSub = ciIndex_(h, 'To Subcategory');
+    const idxAmount = ciIndex_(h, 'Amount');
+    const idxOwner = ciIndex_(h, 'Wallet Owner');
+    moves.slice(1).forEach(row => {
+      const d = new Date(row[idxDate]);
+      const amount = Math.abs(normalizeNumber_(row[idxAmount]));
+      if (isNaN(d.getTime()) || !amount) return;
+      // Pindahan milik owner tertentu hanya berlaku di tampilan owner tsb (dan tampilan household)
+      const moveOwner = idxOwner !== -1 ? String(row[idxOwner] || '').trim() : '';
+      if (filters.walletOwner && moveOwner !== filters.walletOwner) return;
+      const m = monthIdx(d);
+      const apply = (key, delta) => {
+        const env = envelopes[key];
+        if (!env) return;
+        env.transfers[m] = (env.transfers[m] || 0) + delta;
+        env.firstMonth = Math.min(env.firstMonth, m);
+        if (d >= startDate && d <= endDate) env.periodTransfers += delta;
+      };
+      apply(`${row[idxFromCat]}|${row[idxFromSub]}`, -amount);
+      apply(`${row[idxToCat]}|${row[idxToSub]}`, amount);
+    });
+  }
+
+  const startMonth = monthIdx(startDate);
+  const lastMonth = Math.min(monthIdx(endDate), monthIdx(new Date()));
+  const historyFrom = lastMonth - ENVELOPE_HISTORY_MONTHS + 1;
+  Object.keys(envelopes).forEach(key => {
+    const env = envelopes[key];
+    let carry = 0, carriedIn = 0;
+    const history = [];
+    const from = Math.min(env.firstMonth, historyFrom);
+    for (let m = from; m <= lastMonth; m++) {
+      const inflow = carry;
+      if (m === startMonth) carriedIn = inflow;
+      const spent = env.spent[m] || 0;
+      const transfers = env.transfers[m] || 0;
+      // Budget bulan ini sesuai frekuensinya (weekly/yearly dikonversi ke jumlah hari dalam bulan)
+      const monthStart = new Date(Math.floor(m / 12), m % 12, monthStartDay);
+      const monthEnd = new Date(Math.floor(m / 12), m % 12 + 1, monthStartDay - 1);
+      const budget = env.parts.reduce((s, p) => s + prorateBudget_(p.base, p.frequency, monthStart, monthEnd), 0);
+      const available = inflow + budget + transfers - spent;
+      // Bulan sebelum aktivitas pertama tidak ikut menumpuk carry
+      carry = env.rollover && m >= env.firstMonth ? available : 0;
+      if (m >= historyFrom) {
+        history.push({ Month: monthLabel(m), Budget: budget, CarriedIn: inflow, Transfers: transfers, Spent: spent, Available: available });
+      }
+    }
+    // Periode dimulai setelah bulan terakhir yang dihitung (mis. periode masa depan)
+    if (startMonth > lastMonth) carriedIn = carry;
+    result[key] = { Rollover: env.rollover, CarriedIn: env.rollover ? carriedIn : 0, Transfers: env.periodTransfers, History: history };
+  });
+  return result;
+}
+
+/**
+ * Mencatat pemindahan dana budget antar envelope (mis. di tengah bulan) ke sheet Envelope Transfers.
+ * Sheet dibuat otomatis bila belum ada.
+ * @param {object} move { fromCategory, fromSubcategory, toCategory, toSubcategory, amount, note, walletOwner }
+ * @returns {{ok: boolean}}
+ */
+function moveEnvelopeBudget(move) {
+  try {
+    const m = move || {};
+    const amount = Math.abs(normalizeNumber_(m.amount));
+    if (!m.fromCategory || !m.fromSubcategory || !m.toCategory || !m.toSubcategory) throw new Error('Envelope asal dan tujuan wajib diisi.');
+    if (!amount) throw new Error('Nominal harus lebih dari 0.');
+    if (m.fromCategory === m.toCategory && m.fromSubcategory === m.toSubcategory) throw new Error('Envelope asal dan tujuan sama.');
+
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    let sheet = ss.getSheetByName(ENVELOPE_TRANSFERS_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(ENVELOPE_TRANSFERS_SHEET);
+      sheet.appendRow(['Date', 'From Category', 'From Subcategory', 'To Category', 'To Subcategory', 'Amount', 'Note', 'Wallet Owner']);
+      sheet.setFrozenRows(1);
+    }
+    sheet.appendRow([new Date(), m.fromCategory, m.fromSubcategory, m.toCategory, m.toSubcategory, amount, m.note || '', m.walletOwner || '']);
+    try { CacheService.getUserCache().remove(`rawSheetData_${ENVELOPE_TRANSFERS_SHEET}`); } catch (e) { /* ignore */ }
+    return { ok: true };
+  } catch (e) {
+    console.error('moveEnvelopeBudget error', e.stack || e);
+    throw new Error('Gagal memindahkan budget: ' + e.message);
+  }
+}
+
 
 /**
  * Menghitung utang dan transaksi mendatang.
@@ -668,6 +1178,7 @@ function calculateLiabilitiesUpcoming_(scheduledData, allTransactionsData, perio
   if (!scheduledData || !allTransactionsData) throw new Error('Data ScheduledTransactions atau Input tidak tersedia.');
 
   const out = [];
+  const fx = getFxConverter_(resolveBaseCurrency_(filters));
 
   // --- Upcoming (ScheduledTransactions) ---
   const schedCopy = [...scheduledData];
@@ -679,15 +1190,23 @@ function calculateLiabilitiesUpcoming_(scheduledData, allTransactionsData, perio
   const idxSchedAmount   = ciIndex_(schedHeaders,'Amount');
   const idxSchedWallet   = ciIndex_(schedHeaders,'Wallet');
   const idxSchedOwner    = ciIndex_(schedHeaders,'Wallet Owner');
+  const idxSchedCurrency = ciIndex_(schedHeaders,'Currency');
+  const idxSchedEnd      = ciIndex_(schedHeaders,'End Date');
+  const idxSchedLast     = ciIndex_(schedHeaders,'LastPosted');
 
   schedCopy.forEach(row => {
     const statusRaw = normStr_(row[idxSchedStatus]);
-    if (statusRaw !== 'active') return;
+    if (statusRaw !== 'active') return; // Paused / Skip / Completed tidak ditampilkan
     const rawDateStr = row[idxSchedNextDue];
     if (!rawDateStr) return;
     const due = new Date(rawDateStr);
     if (isNaN(due.getTime())) return;
     if (due < startDate || due > endDate) return;
+    const schedEnd = idxSchedEnd !== -1 && row[idxSchedEnd] ? new Date(row[idxSchedEnd]) : null;
+    if (schedEnd && !isNaN(schedEnd.getTime()) && due > schedEnd) return;
+    // Sudah diposting ke Input (NextDueDate belum dimajukan) -> tidak lagi overdue
+    const lastPosted = idxSchedLast !== -1 && row[idxSchedLast] ? new Date(row[idxSchedLast]) : null;
+    if (lastPosted && !isNaN(lastPosted.getTime()) && due <= lastPosted) return;
 
     const iso = Utilities.formatDate(due, Session.getScriptTimeZone(), 'yyyy-MM-dd');
     const display = formatDateForDisplay_(due);
@@ -699,7 +1218,7 @@ function calculateLiabilitiesUpcoming_(scheduledData, allTransactionsData, perio
       UniqueID: Utilities.getUuid(),
       Type: 'Upcoming',
       Name: row[idxSchedDesc] || row[idxSchedCat],
-      Amount: normalizeNumber_(row[idxSchedAmount]),
+      Amount: fx.convert(normalizeNumber_(row[idxSchedAmount]), fx.currencyOf(idxSchedCurrency !== -1 ? row[idxSchedCurrency] : '', row[idxSchedWallet], row[idxSchedAmount]), due),
       Wallet: row[idxSchedWallet],
       Owner: ownerVal,
       RawDueDate: iso,
@@ -709,82 +1228,72 @@ function calculateLiabilitiesUpcoming_(scheduledData, allTransactionsData, perio
     });
   });
 
-  // --- Liabilities (Input) ---
-  const inputCopy = [...allTransactionsData];
-  const inputHeaders = inputCopy.shift() || [];
-  const idxSource  = ciIndex_(inputHeaders,'Source');
-  const idxDate    = ciIndex_(inputHeaders,'Date');
-  const idxAmount  = ciIndex_(inputHeaders,'Amount');
-  const idxDesc    = ciIndex_(inputHeaders,'Description');
-  const idxCat     = ciIndex_(inputHeaders,'Category');
-  const idxSubcat  = ciIndex_(inputHeaders,'Subcategory');
-  const idxWallet  = ciIndex_(inputHeaders,'Wallet');
-  const idxOwner   = ciIndex_(inputHeaders,'Wallet Owner');
-
-  // Keyword set (EN + ID) to classify liabilities (case-insensitive)
-  const LIAB_KEYWORDS = ['liability','liabilities','debt','loan','credit','installment','repayment','mortgage','hutang','utang','pinjaman','cicilan','kredit','angsuran'];
-  const hasLiabKeyword = v => {
-    if (!v) return false; const s = String(v).toLowerCase();
-    return LIAB_KEYWORDS.some(k => s.includes(k));
-  };
+  const todayMid = new Date(); todayMid.setHours(0,0,0,0);
+  const balances = getLiabilityBalances_(allTransactionsData, endDate, filters.walletOwner, resolveBaseCurrency_(filters));
+
+  // --- Loans (jadwal amortisasi) ---
+  // Cicilan belum terbayar yang jatuh tempo s/d akhir periode (termasuk yang lewat), minimal cicilan berikutnya
+  balances.loans.forEach(loan => {
+    const unpaid = loan.Schedule.filter(s => !s.Paid);
+    unpaid.forEach((s, i) => {
+      const due = new Date(s.DueDate + 'T00:00:00');
+      if (i > 0 && due > endDate) return;
+      const display = formatDateForDisplay_(due);
+      out.push({
+        UniqueID: Utilities.getUuid(),
+        Type: 'Upcoming',
+        Name: `${loan.Loan} (cicilan ${s.No}/${loan.TenorMonths})`,
+        Amount: s.Payment,
+        Wallet: loan.Wallet,
+        Owner: loan.Owner,
+        RawDueDate: s.DueDate,
+        DisplayDate: display,
+        DueDate: display,
+        isOverdue: due < todayMid
+      });
+    });
+    if (loan.Outstanding <= 0) return;
+    out.push({
+      UniqueID: Utilities.getUuid(),
+      Type: 'Liabilities',
+      Name: loan.Loan,
+      Amount: loan.Outstanding,
+      Principal: loan.Principal,
+      // Repaid = pembayaran yang benar-benar tercatat; PrincipalPaid = pokok yang sudah teramortisasi
+      Repaid: loan.Repaid,
+      PrincipalPaid: loan.Principal - loan.Outstanding,
+      OverdueCount: loan.OverdueCount,
+      RemainingTenor: loan.RemainingTenor,
+      PayoffDate: loan.PayoffDate,
+      Wallet: loan.Wallet,
+      Owner: loan.Owner,
+      DisplayDate: loan.NextDueDate,
+      DueDate: loan.NextDueDate,
+      RawDueDate: loan.RawNextDueDate,
+      isOverdue: loan.isOverdue
+    });
+  });
 
-  inputCopy.forEach(tx => {
-    const sourceVal = idxSource !== -1 ? tx[idxSource] : '';
-    const catVal = idxCat !== -1 ? tx[idxCat] : '';
-    const subcatVal = idxSubcat !== -1 ? tx[idxSubcat] : '';
-    if (!(hasLiabKeyword(sourceVal) || hasLiabKeyword(catVal) || hasLiabKeyword(subcatVal))) return;
-
-    // Transaction date (may be used to assume due date end-of-month)
-    let displayDate = ''; let txDate = null;
-    if (idxDate !== -1) {
-      const d = new Date(tx[idxDate]);
-      if (!isNaN(d.getTime())) { txDate = d; displayDate = formatDateForDisplay_(d); }
-    }
-    // Jika ada tanggal transaksi, hormati filter periode; jika tidak ada tanggal, abaikan (tetap masuk)
-    if (txDate) {
-      if (txDate < startDate || txDate > endDate) return; // luar periode
-    }
-    const rawAmt = normalizeNumber_(tx[idxAmount]);
-    const name = tx[idxDesc] || tx[idxCat] || 'Liability';
-    const ownerVal = idxOwner !== -1 ? tx[idxOwner] : '';
-    if (filters.walletOwner && ownerVal !== filters.walletOwner) return;
-
-    // Assumed due date = last day of same month (if txDate exists)
-    let dueIso = ''; let dueDisplay = ''; let isOverdue = false;
-    if (txDate) {
-      const due = new Date(txDate.getFullYear(), txDate.getMonth()+1, 0);
-      due.setHours(0,0,0,0);
-      dueIso = Utilities.formatDate(due, Session.getScriptTimeZone(), 'yyyy-MM-dd');
-      dueDisplay = formatDateForDisplay_(due);
-      const todayMid = new Date(); todayMid.setHours(0,0,0,0);
-      isOverdue = due < todayMid;
-    }
-
-    // Fallback: jika tidak ada txDate (atau gagal parse) maka set due ke akhir periode (endDate)
-    if (!dueIso) {
-      try {
-        const fallbackDue = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-        fallbackDue.setHours(0,0,0,0);
-        dueIso = Utilities.formatDate(fallbackDue, Session.getScriptTimeZone(), 'yyyy-MM-dd');
-        dueDisplay = formatDateForDisplay_(fallbackDue);
-        const todayMid = new Date(); todayMid.setHours(0,0,0,0);
-        isOverdue = fallbackDue < todayMid;
-      } catch(e) {
-        // diamkan; biarkan kosong jika benar-benar gagal
-      }
-    }
+  // --- Liabilities (Input) ---
+  // Hutang lain di luar sheet Loans: satu entri per pinjaman dengan sisa pokok per akhir periode
+  balances.ledger.forEach(loan => {
+    if (loan.Outstanding <= 0) return; // sudah lunas
 
+    // Hutang dari ledger tidak punya jadwal: DueDate kosong dan tidak pernah overdue
     out.push({
       UniqueID: Utilities.getUuid(),
       Type: 'Liabilities',
-      Name: name,
-      Amount: Math.abs(rawAmt),
-      Wallet: idxWallet !== -1 ? tx[idxWallet] : '',
-      Owner: ownerVal,
-      DisplayDate: displayDate,
-      DueDate: dueDisplay,
-      RawDueDate: dueIso,
-      isOverdue
+      Name: loan.Loan,
+      Amount: loan.Outstanding,
+      Principal: loan.Principal,
+      Repaid: loan.Repaid,
+      Wallet: loan.Wallet,
+      Owner: loan.Owner,
+      DisplayDate: loan.LastDate ? formatDateForDisplay_(loan.LastDate) : '',
+      DueDate: '',
+      RawDueDate: '',
+      NoDueDate: true,
+      isOverdue: false
     });
   });
 
@@ -798,6 +1307,32 @@ function calculateLiabilitiesUpcoming_(scheduledData, allTransactionsData, perio
   return out;
 }
 
+/**
+ * Daftar kaki transfer tanpa pasangan (lihat pairTransfers_) untuk card Transfer Check.
+ * Tidak dibatasi periode: kaki yang hilang kapan pun membuat saldo wallet melenceng.
+ * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input.
+ * @param {object} filters Filter (wallet / walletOwner dihormati).
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @returns {Array<Object>} Maksimal 50 kaki transfer terbaru.
+ */
+function calculateOrphanTransfers_(allTransactionsData, filters, baseCurrency) {
+  const { orphans } = pairTransfers_(allTransactionsData, baseCurrency);
+  return orphans
+    .filter(t => (!filters.wallet || t.Wallet === filters.wallet) && (!filters.walletOwner || t.Owner === filters.walletOwner))
+    .slice(0, 50)
+    .map(t => ({
+      UniqueID: `transfer-${t.Row}`,
+      Row: t.Row,
+      Leg: t.Leg,
+      Wallet: t.Wallet,
+      Owner: t.Owner,
+      Description: t.Description,
+      Amount: t.Amount,
+      Currency: t.Currency,
+      DisplayDate: formatDateForDisplay_(t.Date)
+    }));
+}
+
 /**
  * Menghitung rasio pengeluaran (Living, Playing, Saving) dengan breakdown Source.
  * @param {Array<Array>} categoryData Data mentah dari sheet Category Setup.
@@ -876,7 +1411,7 @@ function calculateSankeyData_(allTransactionsData, period, filters) {
 
     tx.forEach(t => {
       inspected++;
-      if (t.Amount >= 0) return; // hanya expense
+      if (t.Amount >= 0 || t.IsInternalTransfer) return; // hanya expense, tanpa transfer internal
       expenseCount++;
 
       const payerRaw = (t.Owner || t.Wallet || 'Unknown').toString().trim() || 'Unknown';
@@ -937,34 +1472,21 @@ function calculateTotalSaving_(filteredTransactions) {
     return 0;
   }
 
-  // Skenario 1: Kumpulan kata kunci untuk 'Source' pada tabungan normal (pemasukan)
-  const normalSavingSourceKeys = new Set(['saving/investment', 'other asset', 'investment', 'otherasset']);
-
-  // Skenario 2: Aturan untuk tabungan tersamarkan (dicatat sebagai expense)
-  const disguisedSavingRegex = new RegExp('(^|[^a-z])(tabungan|menabung|saving|savings?|autosave|investment|investasi|deposito?|reksadana|mutualfund|saham|stock|equity|obligasi|bond|pensiun|retirement|emergencyfund|aset|asset|capital)([^a-z]|$)', 'i');
-  const disguisedSavingSourceKeys = new Set(['saving/investment', 'other asset', 'cash and bank', 'cash & bank']);
+  // Skenario 1 (Source tabungan) & 2 (disguised saving) memakai aturan sheet Rules
+  const classifier = getClassifier_();
 
   let totalSavedInPeriod = 0;
 
   filteredTransactions.forEach(t => {
-    // Normalisasi data. Untuk category/subcategory, kita tidak ubah ke lowercase
-    // karena regex sudah case-insensitive ('i') dan butuh case asli untuk boundary check.
-    const source = (t.Source || '').toString().trim().toLowerCase();
-    const category = (t.Category || '').toString().trim();
-    const subcategory = (t.Subcategory || '').toString().trim();
-    const type = (t.Type || '').toString().trim().toLowerCase();
-
     // Skenario 1: Tabungan Normal (Pemasukan ke 'Source' tabungan)
     // Ini adalah kasus utama, biasanya dari 'Transfer-In'.
-    if (t.Amount > 0 && normalSavingSourceKeys.has(source)) {
+    if (t.Amount > 0 && classifier.isSavingSource(t.Source)) {
       totalSavedInPeriod += t.Amount;
       return; // Lanjut ke transaksi berikutnya agar tidak dihitung ganda.
     }
 
     // Skenario 2: Tabungan Tersamarkan (dicatat sebagai 'Expense' dengan kriteria ketat)
-    if (type === 'expense' &&
-        (disguisedSavingRegex.test(category) || disguisedSavingRegex.test(subcategory)))
-    {
+    if (classifier.isDisguisedSaving(t)) {
       // Karena type 'expense', t.Amount akan negatif. Kita ambil nilai absolutnya.
       totalSavedInPeriod += Math.abs(t.Amount);
     }
@@ -989,7 +1511,7 @@ function calculateExpenseTreeMapData_(currentTransactions, previousTransactions)
       allSubcategories: {}
     };
     
-    const expenseTransactions = (transactions || []).filter(t => t.Amount < 0);
+    const expenseTransactions = (transactions || []).filter(t => t.Amount < 0 && !t.IsInternalTransfer);
 
     expenseTransactions.forEach(t => {
       const category = t.Category || 'Uncategorized';
@@ -1068,22 +1590,28 @@ function calculateExpenseTreeMapData_(currentTransactions, previousTransactions)
 
 /**
  * Menghitung status wallet berdasarkan transaksi di sheet Input dan metadata dari Wallet Setup.
+ * Balance dikonversi ke base currency (kurs tanggal transaksi); NativeBalance dalam mata uang wallet.
  * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input.
- * @param {Array<Array>} walletData Data mentah dari sheet Wallet Setup (untuk Type dan Owner).
- * @returns {Array<Object>} Data wallet dengan UniqueID, Wallet, Type, Owner, Balance.
+ * @param {Array<Array>} walletData Data mentah dari sheet Wallet Setup (untuk Type, Owner, Currency).
+ * @param {string} [baseCurrency] Mata uang pelaporan (default: resolveBaseCurrency_).
+ * @returns {Array<Object>} Data wallet dengan UniqueID, Wallet, Type, Owner, Balance, Currency, NativeBalance.
  */
-function calculateWalletStatus_(allTransactionsData, walletData) {
+function calculateWalletStatus_(allTransactionsData, walletData, baseCurrency) {
   if (!allTransactionsData) throw new Error('Data Input tidak tersedia.');
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
 
   // 1. Hitung balance per wallet dari transaksi di Input
-  const balanceMap = {}; // wallet -> total balance
+  const balanceMap = {}; // wallet -> total balance (base currency)
+  const nativeMap = {};  // wallet -> { currency -> saldo native }
   const currentAllTransactions = [...allTransactionsData];
   const transHeaders = currentAllTransactions.shift();
+  const transDateCol = transHeaders.indexOf('Date');
   const transWalletCol = transHeaders.indexOf('Wallet');
   const transAmountCol = transHeaders.indexOf('Amount');
   const transTypeCol = transHeaders.indexOf('Transaction Type');
   const transSubcatCol = transHeaders.indexOf('Subcategory');
   const transSourceCol = transHeaders.indexOf('Source');
+  const transCurrencyCol = transHeaders.indexOf('Currency');
 
   // Map wallet -> set of observed sources (to infer Type)
   const walletSources = {};
@@ -1104,8 +1632,12 @@ function calculateWalletStatus_(allTransactionsData, walletData) {
       else amount = 0;
     }
 
+    const currency = fx.currencyOf(transCurrencyCol >= 0 ? row[transCurrencyCol] : '', wallet, row[transAmountCol]);
+    nativeMap[wallet] = nativeMap[wallet] || {};
+    nativeMap[wallet][currency] = (nativeMap[wallet][currency] || 0) + amount;
+
     if (!balanceMap[wallet]) balanceMap[wallet] = 0;
-    balanceMap[wallet] += amount;
+    balanceMap[wallet] += fx.convert(amount, currency, transDateCol >= 0 ? new Date(row[transDateCol]) : null);
 
     // collect source samples for this wallet
     if (transSourceCol >= 0) {
@@ -1138,22 +1670,17 @@ function calculateWalletStatus_(allTransactionsData, walletData) {
   }
 
   // 3. Gabungkan balance dan metadata; jika Type kosong, infer dari observed Source
+  const holdings = calculateHoldingsValuation_(new Date(), fx.baseCurrency);
+  const classifier = getClassifier_();
   const result = [];
   Object.keys(balanceMap).forEach(wallet => {
     const balance = balanceMap[wallet];
     const meta = metadataMap[wallet] || { Type: '', Owner: '' };
     let inferredType = meta.Type || '';
-    const walletNameLower = (wallet || '').toLowerCase();
 
     // --- LOGIKA INFERENSI BARU ---
-    // Prioritas 1: Coba tebak dari nama wallet itu sendiri
-    if (!inferredType) {
-        if (/bca|mandiri|bni|bri|cimb|dbs|uob|ocbc|bank|rekening/.test(walletNameLower)) {
-            inferredType = 'Cash & Bank';
-        } else if (/gopay|ovo|dana|shopeepay|linkaja|ewallet|e-wallet/.test(walletNameLower)) {
-            inferredType = 'E-Wallet';
-        }
-    }
+    // Prioritas 1: Coba tebak dari nama wallet itu sendiri (aturan Bank / E-Wallet Name di sheet Rules)
+    if (!inferredType) inferredType = classifier.inferWalletType(wallet);
 
     // Prioritas 2: Jika masih kosong, tebak dari 'Source' transaksi (logika lama)
     if (!inferredType && walletSources[wallet] && walletSources[wallet].size) {
@@ -1162,38 +1689,78 @@ function calculateWalletStatus_(allTransactionsData, walletData) {
       }
       if (!inferredType) {
         for (const s of walletSources[wallet]) {
-          const sn = normStr_(s);
-          if (sn.includes('e-wallet') || sn.includes('ewallet')) { inferredType = 'E-Wallet'; break; }
+          if (classifier.inferWalletType(s) === 'E-Wallet') { inferredType = 'E-Wallet'; break; }
         }
       }
     }
     // --- AKHIR LOGIKA BARU ---
 
-    result.push({
+    // Mata uang wallet: kolom Currency di Wallet Setup, jika kosong mata uang transaksi pertama wallet tsb
+    const nativeByCurrency = nativeMap[wallet] || {};
+    const usedCurrencies = Object.keys(nativeByCurrency);
+    const walletCurrency = fx.walletCurrencyOf(wallet) || usedCurrencies[0] || DEFAULT_CURRENCY;
+    const nativeBalance = usedCurrencies.reduce((s, cur) => s + fx.convert(nativeByCurrency[cur], cur, new Date(), walletCurrency), 0);
+    // Ada transaksi dalam mata uang tanpa kurs: Balance hanya berisi bagian yang bisa dikonversi
+    const unconverted = usedCurrencies.filter(cur => nativeByCurrency[cur] && !fx.canConvert(cur));
+
+    const entry = {
       UniqueID: Utilities.getUuid(),
       Wallet: wallet,
       Type: inferredType,
       Owner: meta.Owner || '',
       Balance: balance,
+      Currency: walletCurrency,
+      NativeBalance: nativeBalance,
+      Unconverted: unconverted.length > 0,
+      UnconvertedCurrencies: unconverted,
       Sources: Array.from(walletSources[wallet] || []) // <-- expose observed Source samples
-    });
+    };
+
+    // Wallet investasi (sheet Holdings): saldo = kas + unrealized & realized gain (nilai pasar, bukan kas yang disetor)
+    const invested = holdings.wallets[wallet];
+    if (invested) {
+      entry.CashBalance = balance;
+      entry.Balance = balance + invested.TotalGain;
+      entry.NativeBalance = nativeBalance + fx.convert(invested.TotalGain, fx.baseCurrency, new Date(), walletCurrency);
+      entry.CostBasis = invested.CostBasis;
+      entry.MarketValue = invested.MarketValue;
+      entry.UnrealizedGain = invested.UnrealizedGain;
+      entry.GainPct = invested.GainPct;
+      entry.RealizedGain = invested.RealizedGain;
+      entry.Holdings = invested.Positions;
+    }
+    result.push(entry);
   });
 
   return result;
 }
 
+// Memo hasil calculateNetWorthSnapshot_ (key: referensi & panjang array data Input + cutoff|owner|base currency)
+let netWorthSnapshotMemo_ = null;
+
 /**
  * Menghitung snapshot Net Worth (Assets - Liabilities) sampai cutoffDate (inklusif).
- * Assets: saldo semua wallet dihitung dari transaksi <= cutoffDate.
- * Liabilities: jumlah absolut transaksi dengan Source 'Liabilities' / 'Liability' (<= cutoffDate).
+ * Assets: saldo semua wallet dihitung dari transaksi <= cutoffDate, kecuali wallet liabilitas
+ * (findLiabilityWallets_, mis. kartu kredit) yang saldonya sudah dihitung sebagai hutang.
+ * Liabilities: sisa pokok per pinjaman (getLiabilityBalances_) pada cutoffDate.
+ * Semua nilai dikonversi ke base currency memakai kurs tanggal transaksi.
  * @param {Array<Array>} allTransactionsData - Data mentah sheet Input (termasuk header).
  * @param {Date} cutoffDate - Tanggal akhir snapshot.
- * @returns {{assets:number, liabilities:number, netWorth:number}}
+ * @param {string} [ownerFilter] - Jika diisi, hanya transaksi milik Wallet Owner ini.
+ * @param {string} [baseCurrency] - Mata uang pelaporan (default: resolveBaseCurrency_).
+ * @returns {{assets:number, liabilities:number, netWorth:number, wallets:Array<Object>, liabilityItems:Array<Object>}}
+ *   wallets: [{ Wallet, Owner, Balance }] (termasuk TotalGain investasi); liabilityItems: [{ Name, Owner, Outstanding }].
  */
-function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter) {
+function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter, baseCurrency) {
   if (!allTransactionsData || allTransactionsData.length < 2 || !cutoffDate) {
-    return { assets: 0, liabilities: 0, netWorth: 0 };
+    return { assets: 0, liabilities: 0, netWorth: 0, wallets: [], liabilityItems: [] };
+  }
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const memoKey = `${cutoffDate.getTime()}|${ownerFilter || ''}|${fx.baseCurrency}`;
+  if (!netWorthSnapshotMemo_ || netWorthSnapshotMemo_.data !== allTransactionsData || netWorthSnapshotMemo_.rows !== allTransactionsData.length) {
+    netWorthSnapshotMemo_ = { data: allTransactionsData, rows: allTransactionsData.length, results: {} };
   }
+  if (netWorthSnapshotMemo_.results[memoKey]) return netWorthSnapshotMemo_.results[memoKey];
   const copy = [...allTransactionsData];
   const headers = copy.shift();
   const idxDate = headers.indexOf('Date');
@@ -1201,11 +1768,12 @@ function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter
   const idxAmount = headers.indexOf('Amount');
   const idxType = headers.indexOf('Transaction Type');
   const idxSubcat = headers.indexOf('Subcategory');
-  const idxSource = headers.indexOf('Source');
   const idxOwner = headers.indexOf('Wallet Owner');
+  const idxCurrency = headers.indexOf('Currency');
+  const liabilityWallets = findLiabilityWallets_(copy, makeLiabilityRowReader_(headers, fx));
 
   const balanceMap = {}; // wallet -> balance
-  let totalLiabilities = 0;
+  const ownerMap = {}; // wallet -> owner
 
   copy.forEach(row => {
     const rawDate = row[idxDate];
@@ -1215,11 +1783,10 @@ function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter
   const wallet = idxWallet >= 0 ? row[idxWallet] : '';
   const ownerVal = idxOwner >= 0 ? row[idxOwner] : '';
   if (ownerFilter && ownerVal !== ownerFilter) return; // skip if not matching owner when filtering
+    if (liabilityWallets.has(wallet)) return; // sudah masuk Liabilities lewat ledger
     let amount = normalizeNumber_(row[idxAmount]);
     const type = (idxType >= 0 ? row[idxType] : '').toString().toLowerCase();
     const subcat = (idxSubcat >= 0 ? row[idxSubcat] : '').toString().toLowerCase();
-    const sourceRaw = idxSource >= 0 ? row[idxSource] : '';
-    const sourceNorm = normStr_(sourceRaw);
 
     // Normalisasi arah transaksi (sama logika getFilteredTransactions_)
     if (type === 'income') {
@@ -1231,29 +1798,337 @@ function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter
       else if (subcat === 'transfer-in') amount = Math.abs(amount);
       else amount = 0;
     }
+    amount = fx.convert(amount, fx.currencyOf(idxCurrency >= 0 ? row[idxCurrency] : '', wallet, row[idxAmount]), d);
 
     if (wallet) {
       if (!balanceMap[wallet]) balanceMap[wallet] = 0;
       balanceMap[wallet] += amount;
+      if (ownerVal) ownerMap[wallet] = ownerVal;
     }
+  });
 
-    // Liabilities: gunakan helper isLiabilitiesSource_
-    if (isLiabilitiesSource_(sourceNorm)) {
-      // Only count liability if owner matches (or no owner filter)
-      if (!ownerFilter || ownerVal === ownerFilter) {
-        totalLiabilities += Math.abs(amount);
+  // Liabilities = sisa pokok (outstanding) per pinjaman, bukan akumulasi nilai absolut
+  const liabilityBalances = getLiabilityBalances_(allTransactionsData, cutoffDate, ownerFilter, baseCurrency);
+  const totalLiabilities = liabilityBalances.total;
+
+  // Aset investasi dinilai pada harga pasar (sheet Holdings & Prices)
+  const valuation = calculateHoldingsValuation_(cutoffDate, baseCurrency, ownerFilter);
+  const totalAssets = Object.values(balanceMap).reduce((s, v) => s + v, 0) + valuation.totalGain;
+  const wallets = Object.keys(balanceMap).map(w => ({
+    Wallet: w,
+    Owner: ownerMap[w] || '',
+    Balance: balanceMap[w] + ((valuation.wallets[w] && valuation.wallets[w].TotalGain) || 0)
+  }));
+  const liabilityItems = liabilityBalances.ledger.concat(liabilityBalances.loans)
+    .filter(l => l.Outstanding > 0)
+    .map(l => ({ Name: l.Loan, Owner: l.Owner || '', Outstanding: l.Outstanding }));
+  const snapshot = {
+    assets: totalAssets,
+    liabilities: totalLiabilities,
+    netWorth: totalAssets - totalLiabilities,
+    wallets,
+    liabilityItems
+  };
+  netWorthSnapshotMemo_.results[memoKey] = snapshot;
+  return snapshot;
+}
+
+// Jumlah bulan terakhir yang dikirim di Net Worth History (bulan sebelumnya tetap diakumulasi sebagai saldo awal)
+const NET_WORTH_HISTORY_MAX_MONTHS = 60;
+
+/**
+ * Deret net worth akhir bulan (total dan per Wallet Owner), maksimal NET_WORTH_HISTORY_MAX_MONTHS bulan terakhir.
+ * Sheet Input hanya dipindai sekali: delta aset dan event liabilitas dikelompokkan per bulan lalu diakumulasi.
+ * Aturan aset/liabilitas sama dengan calculateNetWorthSnapshot_ (pinjaman sheet Loans memakai sisa pokok
+ * jadwal amortisasi dan baru dihitung sejak Start Date-nya). Jadwal amortisasi dibangun sekali (parseLoanRows_);
+ * tiap akhir bulan hanya menghitung ulang jumlah cicilan lunas dari ledger bulan tsb.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input (termasuk header).
+ * @param {string} [baseCurrency] Mata uang pelaporan.
+ * @returns {{Owners:Array<string>, Series:Array<Object>}} Series urut ASC:
+ *   [{ PeriodLabel:'yyyy-MM', Assets, Liabilities, NetWorth, ByOwner:{ owner: {Assets, Liabilities, NetWorth} } }]
+ */
+function calculateNetWorthHistory_(allTransactionsData, baseCurrency) {
+  const result = { Owners: [], Series: [] };
+  if (!allTransactionsData || allTransactionsData.length < 2) return result;
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const copy = [...allTransactionsData];
+  const headers = copy.shift();
+  const idxDate = headers.indexOf('Date');
+  const idxWallet = headers.indexOf('Wallet');
+  const idxAmount = headers.indexOf('Amount');
+  const idxType = headers.indexOf('Transaction Type');
+  const idxSubcat = headers.indexOf('Subcategory');
+  const idxOwner = headers.indexOf('Wallet Owner');
+  const idxCurrency = headers.indexOf('Currency');
+  const readLiability = makeLiabilityRowReader_(headers, fx);
+  const liabilityWallets = findLiabilityWallets_(copy, readLiability);
+  const now = new Date();
+  const monthIndex = d => d.getFullYear() * 12 + d.getMonth();
+
+  // 1. Satu pass: delta aset per bulan per owner + event liabilitas per bulan
+  const assetDelta = {}; // monthIndex -> { owner -> amount }
+  const liabEvents = {}; // monthIndex -> [event]
+  const owners = new Set();
+  let firstMonth = null;
+  copy.forEach(row => {
+    const d = new Date(row[idxDate]);
+    if (isNaN(d.getTime()) || d > now) return;
+    const m = monthIndex(d);
+    if (firstMonth === null || m < firstMonth) firstMonth = m;
+    const ownerVal = idxOwner >= 0 ? (row[idxOwner] || '') : '';
+    if (ownerVal) owners.add(ownerVal);
+
+    const wallet = idxWallet >= 0 ? row[idxWallet] : '';
+    if (wallet && !liabilityWallets.has(wallet)) {
+      let amount = normalizeNumber_(row[idxAmount]);
+      const type = (idxType >= 0 ? row[idxType] : '').toString().toLowerCase();
+      const subcat = (idxSubcat >= 0 ? row[idxSubcat] : '').toString().toLowerCase();
+      if (type === 'income') amount = Math.abs(amount);
+      else if (type === 'expense') amount = -Math.abs(amount);
+      else if (type === 'transfer') {
+        if (subcat === 'transfer-out') amount = -Math.abs(amount);
+        else if (subcat === 'transfer-in') amount = Math.abs(amount);
+        else amount = 0;
       }
+      amount = fx.convert(amount, fx.currencyOf(idxCurrency >= 0 ? row[idxCurrency] : '', wallet, row[idxAmount]), d);
+      const bucket = assetDelta[m] || (assetDelta[m] = {});
+      bucket[ownerVal] = (bucket[ownerVal] || 0) + amount;
     }
+
+    const ev = readLiability(row);
+    if (ev) (liabEvents[m] = liabEvents[m] || []).push(ev);
   });
+  if (firstMonth === null) return result;
+
+  // 2. Akumulasi bulan demi bulan
+  const loanRows = parseLoanRows_(getRawSheetData_(LOANS_SHEET, false, true), fx);
+  const ownerList = Array.from(owners).sort();
+  let totalAssets = 0;
+  const assetsByOwner = {};
+  const ledgerAll = {};
+  const ledgerByOwner = {};
+  ownerList.forEach(o => { assetsByOwner[o] = 0; ledgerByOwner[o] = {}; });
+  // Sama dengan combineLiabilityBalances_: entri ledger bernama sama dengan Loan dipakai sebagai pembayaran pinjaman tsb
+  const liabilitiesAt = (ledger, cutoff, owner) => {
+    const loans = owner ? loanRows.filter(l => l.owner === owner) : loanRows;
+    const loanNames = new Set(loans.map(l => normStr_(l.name)));
+    const repaidByLoan = {};
+    let total = 0;
+    finalizeLiabilityLedger_(ledger).forEach(l => {
+      if (loanNames.has(normStr_(l.Loan))) repaidByLoan[normStr_(l.Loan)] = l.Repaid || 0;
+      else total += l.Outstanding;
+    });
+    loans.forEach(loan => {
+      if (loan.start > cutoff) return;
+      const conv = v => fx.convert(v, loan.currency, cutoff);
+      total += conv(loanOutstandingNative_(loan, loanPaidCount_(loan.schedule, repaidByLoan[normStr_(loan.name)] || 0, conv)));
+    });
+    return total;
+  };
 
-  const totalAssets = Object.values(balanceMap).reduce((s, v) => s + v, 0);
-  return {
-    assets: totalAssets,
-    liabilities: totalLiabilities,
-    netWorth: totalAssets - totalLiabilities
+  const lastMonth = monthIndex(now);
+  const firstShown = Math.max(firstMonth, lastMonth - NET_WORTH_HISTORY_MAX_MONTHS + 1);
+  for (let m = firstMonth; m <= lastMonth; m++) {
+    Object.entries(assetDelta[m] || {}).forEach(([o, v]) => {
+      totalAssets += v;
+      if (o) assetsByOwner[o] += v;
+    });
+    (liabEvents[m] || []).forEach(ev => {
+      applyLiabilityEvent_(ledgerAll, ev);
+      if (ev.owner) applyLiabilityEvent_(ledgerByOwner[ev.owner], ev);
+    });
+    if (m < firstShown) continue;
+
+    const year = Math.floor(m / 12), month = m % 12;
+    const monthEnd = new Date(year, month + 1, 0, 23, 59, 59, 999);
+    const cutoff = monthEnd > now ? now : monthEnd;
+    const liabilities = liabilitiesAt(ledgerAll, cutoff, null);
+    // Gain investasi (unrealized + realized) pada akhir bulan (harga pasar)
+    const holdings = calculateHoldingsValuation_(cutoff, fx.baseCurrency);
+    const gainByOwner = {};
+    Object.values(holdings.wallets).forEach(w => { gainByOwner[w.Owner] = (gainByOwner[w.Owner] || 0) + w.TotalGain; });
+    const assets = totalAssets + holdings.totalGain;
+    const byOwner = {};
+    ownerList.forEach(o => {
+      const ownerAssets = assetsByOwner[o] + (gainByOwner[o] || 0);
+      const ownerLiabilities = liabilitiesAt(ledgerByOwner[o], cutoff, o);
+      byOwner[o] = { Assets: ownerAssets, Liabilities: ownerLiabilities, NetWorth: ownerAssets - ownerLiabilities };
+    });
+    result.Series.push({
+      PeriodLabel: `${year}-${String(month + 1).padStart(2, '0')}`,
+      Assets: assets,
+      Liabilities: liabilities,
+      NetWorth: assets - liabilities,
+      ByOwner: byOwner
+    });
+  }
+  result.Owners = ownerList;
+  return result;
+}
+
+/**
+ * Membangun ledger liabilitas per pinjaman (loan) dari sheet Input sampai cutoffDate.
+ * Pinjaman baru / penambahan hutang menaikkan saldo, pembayaran (cicilan/angsuran) menurunkannya.
+ *
+ * Baris yang ikut dihitung:
+ *  - Source = Liabilities, atau
+ *  - kolom opsional `Loan` terisi, atau
+ *  - Category/Subcategory mengandung keyword hutang (mis. "Cicilan KPR" dibayar dari wallet bank).
+ *
+ * Arah:
+ *  - Source Liabilities: transfer-in / keyword pembayaran => repayment, selain itu => borrowing
+ *    (termasuk belanja dengan kartu kredit).
+ *  - Source lain: income => borrowing (dana pinjaman masuk), expense => repayment.
+ *
+ * Kunci pinjaman: kolom `Loan` -> Wallet (untuk transfer & belanja di wallet liabilities)
+ * -> Subcategory -> Category -> Wallet. Subcategory/Category dipakai tanpa kata aksi/jenis hutang
+ * (LOAN_LABEL_NOISE_WORDS), sehingga "Pencairan KPR" dan "Cicilan KPR" sama-sama berkunci "KPR".
+ * Isi kolom `Loan` agar pencairan & cicilan pasti tergabung. Pembayaran yang tidak punya pokok
+ * (tidak cocok dengan pinjaman mana pun) dilaporkan lewat UnmatchedRepaid + console.warn.
+ *
+ * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input.
+ * @param {Date} cutoffDate Hanya transaksi <= tanggal ini yang dihitung.
+ * @param {string} [ownerFilter] Batasi ke Wallet Owner tertentu.
+ * @param {string} [baseCurrency] Mata uang pelaporan.
+ * @returns {Array<Object>} [{ Loan, Owner, Wallet, Principal, Repaid, Outstanding, LastDate }] urut Outstanding desc.
+ */
+function buildLiabilityLedger_(allTransactionsData, cutoffDate, ownerFilter, baseCurrency) {
+  if (!allTransactionsData || allTransactionsData.length < 2) return [];
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const copy = [...allTransactionsData];
+  const readLiability = makeLiabilityRowReader_(copy.shift() || [], fx);
+
+  const ledger = {}; // loanKey -> entry
+  copy.forEach(row => {
+    const ev = readLiability(row);
+    if (!ev || (cutoffDate && ev.date > cutoffDate)) return;
+    if (ownerFilter && ev.owner !== ownerFilter) return;
+    applyLiabilityEvent_(ledger, ev);
+  });
+
+  return finalizeLiabilityLedger_(ledger);
+}
+
+// Kata aksi / jenis hutang yang dibuang dari Subcategory/Category saat membentuk kunci pinjaman
+const LOAN_LABEL_NOISE_WORDS = [
+  'pencairan', 'cicilan', 'angsuran', 'pelunasan', 'bayar', 'pembayaran', 'pinjaman', 'hutang', 'utang', 'kredit',
+  'disbursement', 'drawdown', 'repayment', 'installment', 'payment', 'payoff', 'loan', 'debt', 'credit'
+];
+
+/**
+ * Kunci pinjaman dari label Subcategory/Category: kata di LOAN_LABEL_NOISE_WORDS dibuang
+ * ("Cicilan KPR" -> "KPR"). '' bila tidak ada kata yang tersisa.
+ */
+function loanKeyFromLabel_(label) {
+  return String(label || '').split(/\s+/)
+    .filter(w => w && !LOAN_LABEL_NOISE_WORDS.includes(w.toLowerCase().replace(/[^a-z]/g, '')))
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Membuat pembaca baris Input untuk ledger liabilitas (aturan lihat buildLiabilityLedger_).
+ * @param {Array} headers Header sheet Input.
+ * @param {Object} fx Konverter dari getFxConverter_.
+ * @returns {function(Array): ?{date:Date, owner:string, wallet:string, key:string, amount:number, isRepayment:boolean, isLiabSource:boolean, onLiabilityWallet:boolean}}
+ *   null bila baris bukan transaksi liabilitas. onLiabilityWallet: wallet baris ini adalah akun hutangnya (kartu kredit).
+ */
+function makeLiabilityRowReader_(headers, fx) {
+  const idxDate = ciIndex_(headers, 'Date');
+  const idxWallet = ciIndex_(headers, 'Wallet');
+  const idxAmount = ciIndex_(headers, 'Amount');
+  const idxType = ciIndex_(headers, 'Transaction Type');
+  const idxCat = ciIndex_(headers, 'Category');
+  const idxSubcat = ciIndex_(headers, 'Subcategory');
+  const idxDesc = ciIndex_(headers, 'Description');
+  const idxSource = ciIndex_(headers, 'Source');
+  const idxOwner = ciIndex_(headers, 'Wallet Owner');
+  const idxCurrency = ciIndex_(headers, 'Currency');
+  const idxLoan = ciIndex_(headers, 'Loan');
+
+  // Keyword hutang & pembayaran dari sheet Rules (Liability Keyword / Repayment Keyword)
+  const classifier = getClassifier_();
+
+  return row => {
+    const d = idxDate !== -1 ? new Date(row[idxDate]) : null;
+    if (!d || isNaN(d.getTime())) return null;
+    const ownerVal = idxOwner !== -1 ? row[idxOwner] : '';
+    const wallet = idxWallet !== -1 ? row[idxWallet] : '';
+    const type = normStr_(idxType !== -1 ? row[idxType] : '');
+    const subcatRaw = idxSubcat !== -1 ? row[idxSubcat] : '';
+    const catRaw = idxCat !== -1 ? row[idxCat] : '';
+    const subcat = normStr_(subcatRaw);
+    const loanRaw = idxLoan !== -1 ? String(row[idxLoan] || '').trim() : '';
+    const isLiabSource = isLiabilitiesSource_(idxSource !== -1 ? row[idxSource] : '');
+    if (!isLiabSource && !loanRaw && !classifier.hasLiabilityKeyword(catRaw, subcatRaw)) return null;
+
+    let isRepayment;
+    if (isLiabSource) {
+      if (type === 'transfer') {
+        if (subcat === 'transfer-in') isRepayment = true;
+        else if (subcat === 'transfer-out') isRepayment = false;
+        else return null;
+      } else {
+        isRepayment = classifier.hasRepaymentKeyword(catRaw, subcatRaw, idxDesc !== -1 ? row[idxDesc] : '');
+      }
+    } else {
+      if (type === 'income') isRepayment = false;
+      else if (type === 'expense') isRepayment = true;
+      else return null; // transfer antar wallet aset tidak mengubah hutang
+    }
+
+    const useWalletKey = isLiabSource && (type === 'transfer' || (type === 'expense' && !isRepayment));
+    const key = loanRaw || (useWalletKey && wallet) || loanKeyFromLabel_(subcatRaw) || loanKeyFromLabel_(catRaw)
+      || wallet || subcatRaw || catRaw || 'Liabilities';
+    const amount = Math.abs(fx.convert(
+      normalizeNumber_(row[idxAmount]),
+      fx.currencyOf(idxCurrency !== -1 ? row[idxCurrency] : '', wallet, row[idxAmount]),
+      d
+    ));
+    return { date: d, owner: ownerVal, wallet, key: String(key), amount, isRepayment, isLiabSource, onLiabilityWallet: !!useWalletKey };
   };
 }
 
+/**
+ * Wallet yang merupakan akun hutang itu sendiri (mis. kartu kredit): ada baris Source Liabilities berupa
+ * belanja atau transfer di wallet tsb. Saldonya dihitung sebagai liabilitas di ledger, jadi tidak boleh
+ * ikut dihitung lagi sebagai aset (saldo negatif) di snapshot / history net worth.
+ * @param {Array<Array>} rows Baris Input tanpa header.
+ * @param {Function} readLiability Hasil makeLiabilityRowReader_.
+ * @returns {Set<string>}
+ */
+function findLiabilityWallets_(rows, readLiability) {
+  const wallets = new Set();
+  rows.forEach(row => {
+    const ev = readLiability(row);
+    if (ev && ev.onLiabilityWallet && ev.wallet) wallets.add(ev.wallet);
+  });
+  return wallets;
+}
+
+/** Menambahkan satu event liabilitas (hasil makeLiabilityRowReader_) ke ledger { loanKey -> entry }. */
+function applyLiabilityEvent_(ledger, ev) {
+  const k = normStr_(ev.key); // "KPR" dan "kpr" satu pinjaman
+  const entry = ledger[k] || (ledger[k] = { Loan: ev.key, Owner: ev.owner, Wallet: ev.wallet, Principal: 0, Repaid: 0, Outstanding: 0, LastDate: null });
+  if (ev.isRepayment) entry.Repaid += ev.amount;
+  else {
+    entry.Principal += ev.amount;
+    if (ev.isLiabSource && ev.wallet) entry.Wallet = ev.wallet; // wallet tempat hutang tercatat
+  }
+  if (!entry.Owner && ev.owner) entry.Owner = ev.owner;
+  if (!entry.LastDate || ev.date > entry.LastDate) entry.LastDate = ev.date;
+}
+
+function finalizeLiabilityLedger_(ledger) {
+  return Object.values(ledger)
+    .map(e => {
+      // Pembayaran melebihi pokok (mis. pencairan sebelum data tercatat) tidak membuat hutang negatif;
+      // kelebihannya dilaporkan, bukan dibuang diam-diam (lihat combineLiabilityBalances_)
+      return { ...e, Outstanding: Math.max(0, e.Principal - e.Repaid), UnmatchedRepaid: Math.max(0, e.Repaid - e.Principal) };
+    })
+    .sort((a, b) => b.Outstanding - a.Outstanding);
+}
+
 // #endregion
 
 // #region HELPER FUNCTIONS
@@ -1265,9 +2140,10 @@ function calculateNetWorthSnapshot_(allTransactionsData, cutoffDate, ownerFilter
  * Helper untuk mengambil data mentah dari sheet tertentu, dengan dukungan cache.
  * @param {string} sheetName Nama sheet yang akan diambil datanya.
  * @param {boolean} forceRefresh Jika true, akan mengabaikan cache.
+ * @param {boolean} [optional] Jika true, sheet yang belum dibuat dikembalikan sebagai [] (bukan error).
  * @returns {Array<Array>} Data mentah dari sheet (termasuk header).
  */
-function getRawSheetData_(sheetName, forceRefresh) {
+function getRawSheetData_(sheetName, forceRefresh, optional) {
   const cache = CacheService.getUserCache();
   const cacheKey = `rawSheetData_${sheetName}`;
   let cachedData = cache.get(cacheKey);
@@ -1279,6 +2155,10 @@ function getRawSheetData_(sheetName, forceRefresh) {
 
   const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
   const sheet = ss.getSheetByName(sheetName);
+  if (!sheet && optional) {
+    console.log(`Sheet opsional '${sheetName}' belum dibuat, dilewati.`);
+    return [];
+  }
   if (!sheet) {
     console.error(`Sheet '${sheetName}' tidak ditemukan.`);
     throw new Error(`Sheet '${sheetName}' tidak ditemukan.`);
@@ -1289,7 +2169,7 @@ function getRawSheetData_(sheetName, forceRefresh) {
   // Cache untuk sheet yang lebih statis (Wallet, Category, Goals) lebih lama
   // Untuk Input dan ScheduledTransactions, cache sangat singkat atau tidak sama sekali (jika forceRefresh true)
   let cacheExpiration = 300; // Default 5 menit
-  if (sheetName === WALLET_SETUP_SHEET || sheetName === CATEGORY_SHEET || sheetName === GOALS_SHEET) {
+  if (sheetName === WALLET_SETUP_SHEET || sheetName === CATEGORY_SHEET || sheetName === GOALS_SHEET || sheetName === FX_RATES_SHEET || sheetName === LOANS_SHEET || sheetName === SPLITS_SHEET || sheetName === RULES_SHEET) {
     cacheExpiration = 3600; // 1 jam untuk sheet setup
   } 
   // Jika forceRefresh true, data tidak akan diambil dari cache, tapi akan diperbarui ke cache.
@@ -1332,7 +2212,9 @@ function putCacheIfSmall_(cache, key, value, seconds) {
  * @param {object} filters Objek filter.
  * @param {Date} startDate Tanggal mulai.
  * @param {Date} endDate Tanggal akhir.
- * @returns {Array<Object>} Array objek transaksi yang sudah difilter.
+ * @returns {Array<Object>} Array objek transaksi yang sudah difilter. Transaksi yang di-split (sheet Splits)
+ *   muncul sebagai beberapa alokasi dengan SplitOf = kunci parent; filter Category/Subcategory/Purpose
+ *   diterapkan per alokasi.
  */
 function getFilteredTransactions_(allData, filters, startDate, endDate) {
   const currentAllData = [...allData];
@@ -1348,12 +2230,32 @@ function getFilteredTransactions_(allData, filters, startDate, endDate) {
     subcategory: headers.indexOf('Subcategory'),
     note: headers.indexOf('Note'),
     description: headers.indexOf('Description'),
-    source: headers.indexOf('Source') // <-- TAMBAHKAN INI
+    source: headers.indexOf('Source'), // <-- TAMBAHKAN INI
+    currency: headers.indexOf('Currency'),
+    txId: ciIndex_(headers, 'Transaction ID')
+  };
+  const fx = getFxConverter_(resolveBaseCurrency_(filters));
+  const transferPairs = pairTransfers_(allData, fx.baseCurrency);
+  const splits = getSplits_();
+
+  const matchesFilters = transaction => {
+    if (filters.wallet && transaction.Wallet !== filters.wallet) return false;
+    if (filters.walletOwner && transaction.Owner !== filters.walletOwner) return false;
+    if (filters.expensePurpose && transaction.Purpose !== filters.expensePurpose) return false;
+    if (filters.category && transaction.Category !== filters.category) return false;
+    if (filters.subcategory && transaction.Subcategory !== filters.subcategory) return false;
+    if (filters.note && transaction.Note !== filters.note) return false;
+    if (filters.description) {
+      const q = String(filters.description || '').toLowerCase();
+      if (!String(transaction.Description || '').toLowerCase().includes(q)) return false;
+    }
+    return true;
   };
 
-  return currentAllData.map(row => {
+  return currentAllData.flatMap((row, i) => {
+    const sheetRow = i + 2; // baris 1 = header
     const date = new Date(row[colMap.date]);
-    if (date < startDate || date > endDate) return null;
+    if (isNaN(date.getTime()) || date < startDate || date > endDate) return [];
 
     // Normalisasi angka mentah
     let amount = normalizeNumber_(row[colMap.amount]);
@@ -1371,10 +2273,19 @@ function getFilteredTransactions_(allData, filters, startDate, endDate) {
       else amount = 0;
     }
 
+    // Konversi ke base currency memakai kurs tanggal transaksi
+    const currency = fx.currencyOf(colMap.currency >= 0 ? row[colMap.currency] : '', row[colMap.wallet], row[colMap.amount]);
+    const originalAmount = amount;
+    amount = fx.convert(amount, currency, date);
+
     const transaction = {
       Date: date,
       Type: row[colMap.type],
       Amount: amount,
+      OriginalAmount: originalAmount,
+      Currency: currency,
+      // Tanpa kurs: Amount = 0 (tidak ikut total), nilai asli tetap di OriginalAmount
+      Unconverted: !!originalAmount && !fx.canConvert(currency),
       Wallet: row[colMap.wallet],
       Owner: row[colMap.owner],
       Purpose: row[colMap.purpose],
@@ -1382,54 +2293,330 @@ function getFilteredTransactions_(allData, filters, startDate, endDate) {
       Subcategory: row[colMap.subcategory],
       Note: colMap.note >= 0 ? row[colMap.note] : '',
       Description: colMap.description >= 0 ? (row[colMap.description] || '') : '',
-      Source: colMap.source >= 0 ? row[colMap.source] : ''
+      Source: colMap.source >= 0 ? row[colMap.source] : '',
+      Row: sheetRow,
+      // Transfer antar wallet sendiri yang kedua kakinya ditemukan (bukan income/expense)
+      IsInternalTransfer: transferPairs.paired.has(sheetRow)
     };
 
-    if (filters.wallet && transaction.Wallet !== filters.wallet) return null;
-    if (filters.walletOwner && transaction.Owner !== filters.walletOwner) return null;
-    if (filters.expensePurpose && transaction.Purpose !== filters.expensePurpose) return null;
-    if (filters.category && transaction.Category !== filters.category) return null;
-    if (filters.subcategory && transaction.Subcategory !== filters.subcategory) return null;
-    if (filters.note && transaction.Note !== filters.note) return null;
-    if (filters.description) {
-      const q = String(filters.description || '').toLowerCase();
-      if (!String(transaction.Description || '').toLowerCase().includes(q)) return null;
-    }
+    // Split hanya untuk income/expense; saldo wallet tetap dihitung dari baris parent (calculateWalletStatus_)
+    const parentKey = colMap.txId >= 0 && String(row[colMap.txId] || '').trim() ? String(row[colMap.txId]).trim() : String(sheetRow);
+    const allocations = splits[parentKey] && transactionType !== 'transfer'
+      ? expandSplitAllocations_(transaction, splits[parentKey], parentKey, fx)
+      : [transaction];
 
-    return transaction;
-  }).filter(Boolean);
+    return allocations.filter(matchesFilters);
+  });
 }
 
+// Memo isi sheet Splits per eksekusi: parentKey -> [{ Category, Subcategory, Purpose, Note, Amount }]
+let splitsMemo_ = null;
+const splitsWarned_ = new Set(); // parentKey yang sudah diperingatkan (hindari log berulang)
 
 /**
- * Helper untuk memformat baris data budget.
- * @param {string} category Nama kategori.
- * @param {string} subcategory Nama subkategori.
- * @param {number} budget Jumlah budget.
- * @param {number} expense Jumlah pengeluaran.
- * @returns {object} Objek data budget yang diformat.
+ * Membaca sheet opsional Splits.
+ * Kolom: Transaction ID (nilai kolom `Transaction ID` di Input, atau nomor baris sheet parent) |
+ * Category | Subcategory | Expense Purpose | Amount (+ opsional Note). Amount dalam mata uang parent.
+ * Kolom Category/Subcategory/Expense Purpose yang kosong mewarisi nilai parent.
+ * @param {boolean} [forceRefresh] Baca ulang dari sheet.
+ * @returns {Object<string, Array<Object>>}
  */
-function formatBudgetRow_(category, subcategory, budget, expense) {
-    const usagePercentage = budget > 0 ? (expense / budget) * 100 : 0;
-    let status;
-    if (usagePercentage > BUDGET_OVER_THRESHOLD) status = 'Over';
-    else if (usagePercentage > BUDGET_WARNING_THRESHOLD) status = 'Warning';
-    else status = 'On Track';
-    
-    return {
-      UniqueID: Utilities.getUuid(),
-      Category: category,
-      Subcategory: subcategory,
-      BudgetAmount: budget,
-      ActualExpense: expense,
-      RemainingBudget: budget - expense,
-      UsagePercentage: parseFloat(usagePercentage.toFixed(1)),
-      Status: status,
-    };
+function getSplits_(forceRefresh) {
+  if (splitsMemo_ && !forceRefresh) return splitsMemo_;
+  const data = getRawSheetData_(SPLITS_SHEET, forceRefresh, true);
+  const map = {};
+  if (data && data.length > 1) {
+    const headers = data[0];
+    const idxParent = ciIndex_(headers, 'Transaction ID') !== -1 ? ciIndex_(headers, 'Transaction ID') : ciIndex_(headers, 'Row');
+    const idxCat = ciIndex_(headers, 'Category');
+    const idxSubcat = ciIndex_(headers, 'Subcategory');
+    const idxPurpose = ciIndex_(headers, 'Expense Purpose');
+    const idxNote = ciIndex_(headers, 'Note');
+    const idxAmount = ciIndex_(headers, 'Amount');
+    if (idxParent === -1 || idxAmount === -1) {
+      console.warn(`[Splits] Sheet '${SPLITS_SHEET}' butuh kolom Transaction ID (atau Row) dan Amount.`);
+    } else {
+      data.slice(1).forEach(row => {
+        const key = String(row[idxParent] === null || row[idxParent] === undefined ? '' : row[idxParent]).trim();
+        const amount = Math.abs(normalizeNumber_(row[idxAmount]));
+        if (!key || !amount) return;
+        (map[key] = map[key] || []).push({
+          Category: idxCat !== -1 ? row[idxCat] : '',
+          Subcategory: idxSubcat !== -1 ? row[idxSubcat] : '',
+          Purpose: idxPurpose !== -1 ? row[idxPurpose] : '',
+          Note: idxNote !== -1 ? row[idxNote] : '',
+          Amount: amount
+        });
+      });
+    }
+  }
+  splitsMemo_ = map;
+  return map;
+}
+
+/**
+ * Memecah satu transaksi menjadi alokasi sesuai baris Splits.
+ * Sisa yang belum dialokasikan tetap memakai kategori parent. Jika total split melebihi parent,
+ * alokasi diskalakan proporsional agar jumlahnya tetap sama dengan nominal parent.
+ */
+function expandSplitAllocations_(parent, parts, parentKey, fx) {
+  const parentNative = Math.abs(parent.OriginalAmount);
+  const sign = parent.OriginalAmount < 0 ? -1 : 1;
+  const splitTotal = parts.reduce((s, p) => s + p.Amount, 0);
+  let scale = 1;
+  if (splitTotal > parentNative + 0.005) {
+    if (!splitsWarned_.has(parentKey)) console.warn(`[Splits] Total split ${splitTotal} melebihi parent ${parentNative} (${parentKey}); diskalakan.`);
+    splitsWarned_.add(parentKey);
+    scale = parentNative / splitTotal;
+  }
+  const toAllocation = (native, overrides) => ({
+    ...parent,
+    ...overrides,
+    OriginalAmount: sign * native,
+    Amount: fx.convert(sign * native, parent.Currency, parent.Date),
+    SplitOf: parentKey
+  });
+
+  const out = parts.map(p => toAllocation(p.Amount * scale, {
+    Category: p.Category || parent.Category,
+    Subcategory: p.Subcategory || parent.Subcategory,
+    Purpose: p.Purpose || parent.Purpose,
+    Note: p.Note || parent.Note
+  }));
+  const remainder = parentNative - splitTotal * scale;
+  if (remainder > 0.005) out.push(toAllocation(remainder, {}));
+  return out;
+}
+
+
+// Memo hasil pairing per eksekusi (key: referensi array data Input + base currency)
+let transferPairsMemo_ = null;
+
+/**
+ * Memasangkan kaki transfer-out dengan transfer-in di seluruh sheet Input.
+ * Syarat pasangan: wallet berbeda, selisih tanggal <= TRANSFER_PAIR_WINDOW_DAYS, dan nominal sama
+ * (mata uang sama: persis; beda mata uang: selisih <= TRANSFER_PAIR_FX_TOLERANCE setelah konversi).
+ * Jika ada beberapa kandidat, dipilih yang tanggalnya paling dekat. Hasil di-memo per array data.
+ * @param {Array<Array>} allData Data mentah sheet Input (dengan header).
+ * @param {string} [baseCurrency] Base currency untuk membandingkan transfer beda mata uang.
+ * @returns {{paired: Set<number>, pairs: Array<{Out: number, In: number}>, orphans: Array<Object>}}
+ *   paired/pairs memakai nomor baris sheet; orphans = kaki tanpa pasangan, terbaru dulu.
+ */
+function pairTransfers_(allData, baseCurrency) {
+  const base = normalizeCurrencyCode_(baseCurrency) || resolveBaseCurrency_();
+  if (transferPairsMemo_ && transferPairsMemo_.data === allData && transferPairsMemo_.base === base) {
+    return transferPairsMemo_.result;
+  }
+  const fx = getFxConverter_(base);
+  const headers = (allData && allData[0]) || [];
+  const idxDate = ciIndex_(headers, 'Date');
+  const idxType = ciIndex_(headers, 'Transaction Type');
+  const idxAmount = ciIndex_(headers, 'Amount');
+  const idxWallet = ciIndex_(headers, 'Wallet');
+  const idxOwner = ciIndex_(headers, 'Wallet Owner');
+  const idxSubcat = ciIndex_(headers, 'Subcategory');
+  const idxDesc = ciIndex_(headers, 'Description');
+  const idxCurrency = ciIndex_(headers, 'Currency');
+
+  const outs = [], ins = [];
+  for (let i = 1; i < (allData || []).length; i++) {
+    const row = allData[i];
+    if (normStr_(row[idxType]) !== 'transfer') continue;
+    const leg = normStr_(idxSubcat !== -1 ? row[idxSubcat] : '');
+    if (leg !== 'transfer-out' && leg !== 'transfer-in') continue;
+    const date = new Date(row[idxDate]);
+    if (isNaN(date.getTime())) continue;
+    const wallet = idxWallet !== -1 ? row[idxWallet] : '';
+    const nativeAmount = Math.abs(normalizeNumber_(row[idxAmount]));
+    const currency = fx.currencyOf(idxCurrency !== -1 ? row[idxCurrency] : '', wallet, row[idxAmount]);
+    const item = {
+      Row: i + 1,
+      Date: date,
+      Leg: leg,
+      Wallet: wallet,
+      Owner: idxOwner !== -1 ? row[idxOwner] : '',
+      Description: idxDesc !== -1 ? (row[idxDesc] || '') : '',
+      Currency: currency,
+      NativeAmount: nativeAmount,
+      Amount: fx.convert(nativeAmount, currency, date)
+    };
+    (leg === 'transfer-out' ? outs : ins).push(item);
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const paired = new Set();
+  const pairs = [];
+  outs.sort((a, b) => a.Date - b.Date).forEach(o => {
+    let best = null, bestGap = Infinity;
+    ins.forEach(t => {
+      if (paired.has(t.Row) || t.Wallet === o.Wallet) return;
+      const gap = Math.abs(t.Date - o.Date) / dayMs;
+      if (gap > TRANSFER_PAIR_WINDOW_DAYS || gap >= bestGap) return;
+      const sameAmount = t.Currency === o.Currency
+        ? Math.abs(t.NativeAmount - o.NativeAmount) < 0.005
+        : Math.abs(t.Amount - o.Amount) <= TRANSFER_PAIR_FX_TOLERANCE * Math.max(t.Amount, o.Amount);
+      if (sameAmount) { best = t; bestGap = gap; }
+    });
+    if (best) {
+      paired.add(o.Row); paired.add(best.Row);
+      pairs.push({ Out: o.Row, In: best.Row });
+    }
+  });
+
+  const orphans = outs.concat(ins).filter(t => !paired.has(t.Row)).sort((a, b) => b.Date - a.Date);
+  const result = { paired, pairs, orphans };
+  transferPairsMemo_ = { data: allData, base, result };
+  return result;
+}
+
+/**
+ * Helper untuk memformat baris data budget.
+ * @param {string} category Nama kategori.
+ * @param {string} subcategory Nama subkategori.
+ * @param {number} budget Jumlah budget.
+ * @param {number} expense Jumlah pengeluaran.
+ * @param {object} [envelope] Posisi envelope { Rollover, CarriedIn, Transfers, History } dari calculateEnvelopeLedger_.
+ * @returns {object} Objek data budget yang diformat.
+ */
+function formatBudgetRow_(category, subcategory, budget, expense, envelope) {
+    const env = envelope || {};
+    const carriedIn = env.CarriedIn || 0;
+    const transfers = env.Transfers || 0;
+    // Dana tersedia envelope = budget + carry-over + pindahan masuk/keluar
+    const funds = budget + carriedIn + transfers;
+    const usagePercentage = funds > 0 ? (expense / funds) * 100 : (expense > 0 ? BUDGET_OVER_THRESHOLD + 1 : 0);
+    let status;
+    if (usagePercentage > BUDGET_OVER_THRESHOLD) status = 'Over';
+    else if (usagePercentage > BUDGET_WARNING_THRESHOLD) status = 'Warning';
+    else status = 'On Track';
+    
+    return {
+      UniqueID: Utilities.getUuid(),
+      Category: category,
+      Subcategory: subcategory,
+      BudgetAmount: budget,
+      ActualExpense: expense,
+      RemainingBudget: funds - expense,
+      UsagePercentage: parseFloat(usagePercentage.toFixed(1)),
+      Status: status,
+      Rollover: !!env.Rollover,
+      CarriedIn: carriedIn,
+      Transfers: transfers,
+      Available: funds - expense,
+      History: env.History || []
+    };
+}
+
+// #region FINANCIAL MONTH
+// ==========================================================================================
+// Bulan keuangan (payday-based): bulan dimulai pada tanggal MONTH_START_DAY (Script Property).
+// 1 (default) = bulan kalender. Kuartal & tahun tersusun dari bulan keuangan.
+// ==========================================================================================
+
+const MONTH_START_DAY_MAX = 28; // agar setiap bulan punya tanggal mulai tsb
+let monthStartDayMemo_ = null;
+
+/**
+ * Tanggal mulai bulan keuangan dari Script Property MONTH_START_DAY (1..28, default 1).
+ * Di-memo per eksekusi karena dipanggil per bulan di prorata budget & envelope.
+ * @returns {number}
+ */
+function getMonthStartDay_() {
+  if (monthStartDayMemo_ !== null) return monthStartDayMemo_;
+  const raw = parseInt(PropertiesService.getScriptProperties().getProperty('MONTH_START_DAY'), 10);
+  monthStartDayMemo_ = raw >= 1 && raw <= MONTH_START_DAY_MAX ? raw : 1;
+  return monthStartDayMemo_;
+}
+
+/**
+ * Simpan tanggal mulai bulan keuangan (mis. tanggal gajian) dari date picker.
+ * @param {object} settings { monthStartDay }
+ * @returns {{ok: boolean, monthStartDay: number}}
+ */
+function savePeriodSettings(settings) {
+  try {
+    const day = Number((settings || {}).monthStartDay);
+    if (!(Number.isInteger(day) && day >= 1 && day <= MONTH_START_DAY_MAX)) {
+      throw new Error(`Tanggal mulai bulan harus 1-${MONTH_START_DAY_MAX}.`);
+    }
+    PropertiesService.getScriptProperties().setProperty('MONTH_START_DAY', String(day));
+    monthStartDayMemo_ = day;
+    return { ok: true, monthStartDay: day };
+  } catch (e) {
+    console.error('savePeriodSettings error', e.stack || e);
+    throw new Error('Gagal menyimpan pengaturan periode: ' + e.message);
+  }
+}
+
+/**
+ * Awal bulan keuangan yang memuat tanggal d. Tanggal sebelum startDay masuk bulan sebelumnya;
+ * bulan keuangan diberi label menurut bulan kalender tempat ia dimulai (25 Sep - 24 Okt = September).
+ * @param {Date} d
+ * @param {number} [startDay] default getMonthStartDay_()
+ * @returns {Date} Tengah malam tanggal mulai.
+ */
+function financialMonthStart_(d, startDay) {
+  const day = startDay || getMonthStartDay_();
+  return new Date(d.getFullYear(), d.getMonth() - (d.getDate() < day ? 1 : 0), day);
+}
+
+/** Kunci 'yyyy-MM' bulan keuangan yang memuat tanggal d. */
+function financialMonthKey_(d, startDay) {
+  const s = financialMonthStart_(d, startDay);
+  return `${s.getFullYear()}-${String(s.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Rentang unit keuangan (1 = bulan, 3 = kuartal, 12 = tahun) yang memuat tanggal d.
+ * Kuartal/tahun mengikuti bulan kalender tempat bulan keuangan dimulai.
+ * @returns {{startDate: Date, endDate: Date}} Tengah malam, inklusif.
+ */
+function financialPeriodRange_(d, unitMonths, startDay) {
+  const day = startDay || getMonthStartDay_();
+  const fm = financialMonthStart_(d, day);
+  const firstMonth = Math.floor(fm.getMonth() / unitMonths) * unitMonths;
+  return {
+    startDate: new Date(fm.getFullYear(), firstMonth, day),
+    endDate: new Date(fm.getFullYear(), firstMonth + unitMonths, day - 1)
+  };
+}
+
+/** Rentang unit keuangan tepat sebelum unit yang memuat tanggal d. */
+function previousFinancialPeriodRange_(d, unitMonths, startDay) {
+  const cur = financialPeriodRange_(d, unitMonths, startDay).startDate;
+  return financialPeriodRange_(new Date(cur.getFullYear(), cur.getMonth(), cur.getDate() - 1), unitMonths, startDay);
+}
+
+/** Jumlah bulan per preset periode berbasis bulan keuangan; null untuk preset lain. */
+const FINANCIAL_PERIOD_UNITS = {
+  current_month: 1, last_month: 1,
+  current_quarter: 3, last_quarter: 3,
+  current_year: 12, last_year: 12
+};
+
+/**
+ * Label rentang tiap preset untuk date picker (mis. "25 Sep - 24 Oct 2026").
+ * @returns {{MonthStartDay: number, Ranges: Object<string, string>}}
+ */
+function getPeriodInfo_() {
+  const fmt = (d, f) => Utilities.formatDate(d, "GMT+7", f);
+  const ranges = {};
+  ['today', 'yesterday', 'this_week', 'last_week', 'last_7_days'].concat(Object.keys(FINANCIAL_PERIOD_UNITS)).forEach(p => {
+    const { startDate, endDate } = getPeriodDates_(p);
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    ranges[p] = start.getTime() === end.getTime()
+      ? fmt(end, 'd MMM yyyy')
+      : `${fmt(start, start.getFullYear() === end.getFullYear() ? 'd MMM' : 'd MMM yyyy')} - ${fmt(end, 'd MMM yyyy')}`;
+  });
+  return { MonthStartDay: getMonthStartDay_(), Ranges: ranges };
 }
 
+// #endregion
+
 /**
  * Menghitung tanggal awal dan akhir berdasarkan periode yang diberikan.
+ * Minggu dimulai hari Senin; preset bulan/kuartal/tahun mengikuti bulan keuangan (MONTH_START_DAY).
  * @param {string} period Periode waktu.
  * @returns {{startDate: Date, endDate: Date}} Objek berisi tanggal awal dan akhir.
  */
@@ -1461,31 +2648,30 @@ function getPeriodDates_(period, customStart, customEnd) {
       endDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
       break;
     case 'this_week':
-      const firstDayOfWeek = today.getDate() - today.getDay();
-      startDate = new Date(today.setDate(firstDayOfWeek));
-      endDate = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 6);
+    case 'last_week': {
+      // Senin sebagai awal minggu (getDay: 0 = Minggu)
+      const monday = today.getDate() - (today.getDay() + 6) % 7 - (period === 'last_week' ? 7 : 0);
+      startDate = new Date(today.getFullYear(), today.getMonth(), monday);
+      endDate = new Date(today.getFullYear(), today.getMonth(), monday + 6);
       break;
+    }
     case 'last_7_days':
       endDate = new Date(today);
       startDate = new Date();
       startDate.setDate(endDate.getDate() - 6);
       break;
     case 'last_month':
-      startDate = new Date(today.getFullYear(), today.getMonth() - 1, 1);
-      endDate = new Date(today.getFullYear(), today.getMonth(), 0);
+    case 'last_quarter':
+    case 'last_year':
+      ({ startDate, endDate } = previousFinancialPeriodRange_(today, FINANCIAL_PERIOD_UNITS[period]));
       break;
+    case 'current_quarter':
     case 'current_year':
-      startDate = new Date(today.getFullYear(), 0, 1);
-      endDate = new Date(today.getFullYear(), 11, 31);
-      break;
-    case 'last_year':
-      startDate = new Date(today.getFullYear() - 1, 0, 1);
-      endDate = new Date(today.getFullYear() - 1, 11, 31);
+      ({ startDate, endDate } = financialPeriodRange_(today, FINANCIAL_PERIOD_UNITS[period]));
       break;
     case 'current_month':
     default:
-      startDate = new Date(today.getFullYear(), today.getMonth(), 1);
-      endDate = new Date(today.getFullYear(), today.getMonth() + 1, 0);
+      ({ startDate, endDate } = financialPeriodRange_(today, 1));
       break;
   }
 
@@ -1513,17 +2699,18 @@ function getPreviousPeriodDates_(period, currentStartDate) {
       break;
     case 'last_7_days':
     case 'this_week':
+    case 'last_week':
       startDate = new Date(prevEndDate.getTime() - 6 * 24 * 60 * 60 * 1000);
       endDate = prevEndDate;
       break;
     case 'current_month':
     case 'last_month':
-      startDate = new Date(prevEndDate.getFullYear(), prevEndDate.getMonth(), 1);
-      endDate = prevEndDate;
-      break;
+    case 'current_quarter':
+    case 'last_quarter':
     case 'current_year':
     case 'last_year':
-      startDate = new Date(prevEndDate.getFullYear(), 0, 1);
+      // Unit keuangan (bulan/kuartal/tahun) yang berakhir sehari sebelum periode saat ini
+      startDate = financialPeriodRange_(prevEndDate, FINANCIAL_PERIOD_UNITS[period]).startDate;
       endDate = prevEndDate;
       break;
     default: // 'all' atau 'custom'
@@ -1531,169 +2718,2987 @@ function getPreviousPeriodDates_(period, currentStartDate) {
       return { startDate: new Date(0), endDate: new Date(0) };
   }
 
-  startDate.setHours(0,0,0,0);
-  endDate.setHours(23,59,59,999);
-  return { startDate, endDate };
+  startDate.setHours(0,0,0,0);
+  endDate.setHours(23,59,59,999);
+  return { startDate, endDate };
+}
+
+
+ /**
+ * Memformat objek tanggal untuk ditampilkan di UI.
+ * @param {Date} date Objek tanggal.
+ * @returns {string} Tanggal berformat 'd MMM yyyy'.
+ */
+function formatDateForDisplay_(date) {
+  if (!date || !(date instanceof Date)) return 'N/A';
+  try {
+    return Utilities.formatDate(date, "GMT+7", "d MMM yyyy");
+  } catch (e) {
+    return 'Invalid Date';
+  }
+}
+
+// ---------- Case-insensitive helpers ----------
+function ciIndex_(headers, target) {
+  if (!headers) return -1;
+  const want = String(target).trim().toLowerCase();
+  for (let i = 0; i < headers.length; i++) {
+    if (String(headers[i]).trim().toLowerCase() === want) return i;
+  }
+  return -1;
+}
+/**
+ * Normalisasi kolom Budget Frequency. Kosong / tidak dikenal -> 'monthly' (perilaku lama).
+ * @returns {string} 'daily' | 'weekly' | 'monthly' | 'quarterly' | 'yearly'
+ */
+function normalizeBudgetFrequency_(v) {
+  const s = normStr_(v);
+  const map = {
+    daily: 'daily', harian: 'daily',
+    weekly: 'weekly', mingguan: 'weekly',
+    monthly: 'monthly', bulanan: 'monthly',
+    quarterly: 'quarterly', triwulan: 'quarterly',
+    yearly: 'yearly', annually: 'yearly', annual: 'yearly', tahunan: 'yearly'
+  };
+  if (s && !map[s]) console.warn(`[Budget] Budget Frequency '${v}' tidak dikenal; dianggap monthly.`);
+  return map[s] || 'monthly';
+}
+
+/**
+ * Prorata budget ke rentang tanggal (inklusif).
+ * daily/weekly: linear per hari. monthly/quarterly/yearly: per unit bulan keuangan (MONTH_START_DAY; 1 = kalender),
+ * bagian unit yang tercakup dihitung dari jumlah harinya (mis. 10 hari di bulan 30 hari = 1/3 budget bulanan).
+ * @param {number} amount Nominal budget per frekuensi.
+ * @param {string} frequency Hasil normalizeBudgetFrequency_.
+ * @param {Date} startDate Awal rentang.
+ * @param {Date} endDate Akhir rentang.
+ * @returns {number} Budget untuk rentang tersebut.
+ */
+function prorateBudget_(amount, frequency, startDate, endDate) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  if (!amount || end < start) return 0;
+  const countDays = (a, b) => Math.round((b - a) / dayMs) + 1;
+  if (frequency === 'daily') return amount * countDays(start, end);
+  if (frequency === 'weekly') return amount * countDays(start, end) / 7;
+
+  const monthsPerUnit = frequency === 'yearly' ? 12 : (frequency === 'quarterly' ? 3 : 1);
+  const monthStartDay = getMonthStartDay_();
+  let total = 0;
+  let cursor = start;
+  while (cursor <= end) {
+    // Unit mengikuti bulan keuangan (MONTH_START_DAY), sama seperti preset periode
+    const { startDate: unitStart, endDate: unitEnd } = financialPeriodRange_(cursor, monthsPerUnit, monthStartDay);
+    const segEnd = unitEnd < end ? unitEnd : end;
+    total += amount * countDays(cursor, segEnd) / countDays(unitStart, unitEnd);
+    cursor = new Date(segEnd.getFullYear(), segEnd.getMonth(), segEnd.getDate() + 1);
+  }
+  return total;
+}
+
+function isTruthyFlag_(v) {
+  if (v === true) return true;
+  return ['true','yes','y','ya','1','rollover','on'].includes(normStr_(v));
+}
+function normStr_(v) {
+  return String(v === null || v === undefined ? '' : v).trim().toLowerCase();
+}
+function isLiabilitiesSource_(v) {
+  return getClassifier_().isLiabilitySource(v);
+}
+
+// tambah helper baru untuk deteksi jenis Source likuid
+function isLiquidSource_(src) {
+  return getClassifier_().isLiquidSource(src);
+}
+
+/**
+ * Normalisasi angka string berbagai format (ID / EN).
+ * Contoh:
+ *  "1.250.000"    -> 1250000
+ *  "1,250,000"    -> 1250000
+ *  "1.234,56"     -> 1234.56
+ *  "1,234.56"     -> 1234.56
+ *  "Rp 2.500,75"  -> 2500.75
+ *  "- 3.000"      -> -3000
+ */
+function normalizeNumber_(val) {
+  if (val === null || val === undefined) return 0;
+  if (typeof val === 'number') return isNaN(val) ? 0 : val;
+  let s = String(val).trim();
+  if (!s) return 0;
+
+  // Allow leading sign
+  let sign = 1;
+  if (/^-/.test(s.replace(/\s+/g,''))) sign = -1;
+  s = s.replace(/[()+\s]|Rp|IDR/gi,'').trim();
+
+  // Keep only digits , .'
+  s = s.replace(/[^0-9,.-]/g,'');
+
+  // Positions
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+  let decimalSep = null;
+  if (lastComma !== -1 && lastDot !== -1) {
+    decimalSep = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma !== -1) {
+    if (s.length - lastComma - 1 <= 2) decimalSep = ',';
+  } else if (lastDot !== -1) {
+    if (s.length - lastDot - 1 <= 2) decimalSep = '.';
+  }
+
+  if (decimalSep) {
+    const thousandSep = decimalSep === ',' ? '.' : ',';
+    s = s.split(thousandSep).join('');
+    if (decimalSep === ',') s = s.replace(',', '.');
+  } else {
+    // remove all separators
+    s = s.replace(/[.,]/g,'');
+
+  }
+
+  const num = parseFloat(s);
+  return isNaN(num) ? 0 : num * sign;
+}
+
+/**
+ * Hitung jumlah aset likuid dari transaksi sampai cutoffDate.
+ * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input (termasuk header)
+ * @param {Date} cutoffDate Tanggal akhir snapshot
+ * @param {string} [baseCurrency] Mata uang pelaporan (default: resolveBaseCurrency_)
+ * @returns {Number} Total aset likuid per cutoffDate
+ */
+function computeLiquidAssetsSnapshot_(allTransactionsData, cutoffDate, baseCurrency) {
+  if (!allTransactionsData || allTransactionsData.length < 2 || !cutoffDate) return 0;
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const copy = [...allTransactionsData];
+  const headers = copy.shift();
+  const idxDate = headers.indexOf('Date');
+  const idxWallet = headers.indexOf('Wallet');
+  const idxAmount = headers.indexOf('Amount');
+  const idxType = headers.indexOf('Transaction Type');
+  const idxSubcat = headers.indexOf('Subcategory');
+  const idxSource = headers.indexOf('Source');
+  const idxCurrency = headers.indexOf('Currency');
+
+  // Hitung saldo per wallet sampai cutoffDate
+  const balanceMap = {};
+  const walletSources = {};
+
+  copy.forEach(row => {
+    const rawDate = row[idxDate];
+    const d = new Date(rawDate);
+    if (isNaN(d.getTime()) || d > cutoffDate) return;
+
+    const wallet = row[idxWallet];
+    if (!wallet) return;
+
+    let amount = normalizeNumber_(row[idxAmount]);
+    const transactionType = (row[idxType] || '').toString().toLowerCase();
+    const subcategoryRaw = (row[idxSubcat] || '').toString().toLowerCase();
+
+    if (transactionType === 'income') amount = Math.abs(amount);
+    else if (transactionType === 'expense') amount = -Math.abs(amount);
+    else if (transactionType === 'transfer') {
+      if (subcategoryRaw === 'transfer-out') amount = -Math.abs(amount);
+      else if (subcategoryRaw === 'transfer-in') amount = Math.abs(amount);
+      else amount = 0;
+    }
+    amount = fx.convert(amount, fx.currencyOf(idxCurrency >= 0 ? row[idxCurrency] : '', wallet, row[idxAmount]), d);
+
+    if (!balanceMap[wallet]) balanceMap[wallet] = 0;
+    balanceMap[wallet] += amount;
+
+    // collect source samples for this wallet
+    if (idxSource >= 0) {
+      const src = row[idxSource];
+      if (src) {
+        walletSources[wallet] = walletSources[wallet] || new Set();
+        walletSources[wallet].add(String(src).trim());
+      }
+    }
+  });
+
+  // Deteksi wallet likuid (Source likuid atau nama wallet bank / e-wallet, lihat sheet Rules)
+  const classifier = getClassifier_();
+  let totalLiquid = 0;
+  Object.keys(balanceMap).forEach(wallet => {
+    if (classifier.isLiquidWallet(wallet, '', Array.from(walletSources[wallet] || []))) totalLiquid += balanceMap[wallet];
+  });
+
+  return totalLiquid;
+}
+
+// #endregion
+
+// #region CLASSIFICATION RULES
+// =================================================================
+//                     CLASSIFICATION RULES
+// =================================================================
+
+/**
+ * Aturan klasifikasi bawaan. Sheet opsional `Rules` (Rule | Pattern | Match | Active) menimpa daftar pattern
+ * per Rule: begitu satu Rule punya baris aktif di sheet, pattern bawaan Rule tsb tidak dipakai lagi.
+ * Match: contains (default) | exact | word (kata utuh) | regex. Semua pencocokan case-insensitive.
+ * Pattern bawaan berupa { pattern, match } memakai Match sendiri, bukan Match Rule-nya.
+ *  - Saving Keyword     : Category/Subcategory expense yang sebenarnya tabungan (disguised saving).
+ *  - Saving Source      : Source pemasukan yang dihitung sebagai tabungan.
+ *  - Liability Source   : Source wallet hutang (kartu kredit, paylater, dll).
+ *  - Liability Keyword  : Category/Subcategory transaksi hutang dari wallet biasa.
+ *  - Repayment Keyword  : Category/Subcategory/Description pembayaran hutang.
+ *  - Liquid Source      : Source wallet likuid.
+ *  - Liquid Wallet Type : Wallet Type yang dihitung sebagai aset likuid.
+ *  - Bank Wallet Name / E-Wallet Name : tebakan Wallet Type dari nama wallet bila Wallet Setup kosong. Kata utuh agar
+ *    'bri' tidak cocok dengan "Fabrizio"; 'dana' exact karena "Dana Darurat" adalah nama tabungan, bukan e-wallet DANA.
+ */
+const DEFAULT_CLASSIFICATION_RULES = {
+  'saving keyword': { match: 'word', patterns: ['tabungan','menabung','saving','savings','autosave','investment','investasi','deposit','deposito','reksadana','mutualfund','saham','stock','equity','obligasi','bond','pensiun','retirement','emergencyfund','aset','asset','capital'] },
+  'saving source': { match: 'exact', patterns: ['saving/investment','other asset','investment','otherasset'] },
+  'liability source': { match: 'exact', patterns: ['liabilities','liability'] },
+  'liability keyword': { match: 'contains', patterns: ['liability','liabilities','debt','loan','credit','installment','repayment','mortgage','hutang','utang','pinjaman','cicilan','kredit','angsuran'] },
+  'repayment keyword': { match: 'contains', patterns: ['cicilan','angsuran','pelunasan','bayar','pembayaran','repayment','installment','payment','payoff'] },
+  'liquid source': { match: 'contains', patterns: ['cash & bank','cash and bank','cash','bank','e-wallet','ewallet','digital wallet','gopay','ovo'] },
+  'liquid wallet type': { match: 'contains', patterns: ['cash','bank','e-wallet'] },
+  'bank wallet name': { match: 'word', patterns: ['bca','mandiri','bni','bri','cimb','dbs','uob','ocbc','bank','rekening'] },
+  'e-wallet name': { match: 'word', patterns: ['gopay','ovo',{ pattern: 'dana', match: 'exact' },'shopeepay','linkaja','ewallet','e-wallet'] },
+  'zakat wallet type': { match: 'contains', patterns: ['cash','bank','e-wallet','saving','tabungan','deposito','deposit','emas','gold'] },
+  'investment wallet type': { match: 'contains', patterns: ['invest','saham','stock','reksa','mutual fund','obligasi','bond','crypto'] },
+  'core expense ratio': { match: 'contains', patterns: ['living','need','kebutuhan','pokok','essential'] }
+};
+
+// Memo classifier per eksekusi
+let classifierMemo_ = null;
+
+/** Ubah satu pattern menjadi predicate atas string yang sudah dinormalisasi (normStr_). */
+function compileRulePattern_(pattern, match) {
+  const p = normStr_(pattern);
+  if (!p) return null;
+  const mode = normStr_(match) || 'contains';
+  if (mode === 'exact') return s => s === p;
+  if (mode === 'word') {
+    const re = new RegExp('(^|[^a-z])' + p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '([^a-z]|$)');
+    return s => re.test(s);
+  }
+  if (mode === 'regex') {
+    try {
+      const re = new RegExp(String(pattern).trim(), 'i');
+      return s => re.test(s);
+    } catch (e) {
+      console.warn(`[Rules] Regex '${pattern}' tidak valid, dilewati: ${e.message}`);
+      return null;
+    }
+  }
+  return s => s.includes(p);
+}
+
+/**
+ * Classifier bersama untuk semua kalkulasi (KPI, saving, liabilitas, wallet likuid).
+ * @param {boolean} [forceRefresh] Baca ulang sheet Rules.
+ * @returns {Object} Predicate: isDisguisedSaving(t), isSavingSource(src), isLiabilitySource(src),
+ *   hasLiabilityKeyword(...vals), hasRepaymentKeyword(...vals), isLiquidSource(src), isLiquidWalletType(type),
+ *   inferWalletType(name) -> 'Cash & Bank' | 'E-Wallet' | '', isLiquidWallet(name, type, sources),
+ *   isZakatWalletType(type), isInvestmentWalletType(type), isCoreExpenseRatio(ratio).
+ */
+function getClassifier_(forceRefresh) {
+  if (classifierMemo_ && !forceRefresh) return classifierMemo_;
+
+  const fromSheet = {}; // rule -> [{ pattern, match }]
+  const data = getRawSheetData_(RULES_SHEET, forceRefresh, true);
+  if (data && data.length > 1) {
+    const headers = data[0];
+    const idxRule = ciIndex_(headers, 'Rule'), idxPattern = ciIndex_(headers, 'Pattern');
+    const idxMatch = ciIndex_(headers, 'Match'), idxActive = ciIndex_(headers, 'Active');
+    if (idxRule === -1 || idxPattern === -1) {
+      console.warn(`[Rules] Sheet '${RULES_SHEET}' butuh kolom Rule dan Pattern; memakai aturan bawaan.`);
+    } else {
+      data.slice(1).forEach(row => {
+        const rule = normStr_(row[idxRule]);
+        if (!rule || !String(row[idxPattern] || '').trim()) return;
+        if (idxActive !== -1 && row[idxActive] !== '' && !isTruthyFlag_(row[idxActive])) return;
+        if (!DEFAULT_CLASSIFICATION_RULES[rule]) {
+          console.warn(`[Rules] Rule '${row[idxRule]}' tidak dikenal, dilewati.`);
+          return;
+        }
+        (fromSheet[rule] = fromSheet[rule] || []).push({ pattern: row[idxPattern], match: idxMatch !== -1 ? row[idxMatch] : '' });
+      });
+    }
+  }
+
+  const compiled = {};
+  Object.keys(DEFAULT_CLASSIFICATION_RULES).forEach(rule => {
+    const def = DEFAULT_CLASSIFICATION_RULES[rule];
+    const entries = fromSheet[rule] || def.patterns.map(p => (typeof p === 'string' ? { pattern: p, match: def.match } : p));
+    compiled[rule] = entries.map(e => compileRulePattern_(e.pattern, e.match || def.match)).filter(Boolean);
+  });
+  const test = (rule, ...vals) => vals.some(v => {
+    const s = normStr_(v);
+    return !!s && compiled[rule].some(fn => fn(s));
+  });
+
+  const classifier = {
+    isDisguisedSaving: t => normStr_(t && t.Type) === 'expense' && test('saving keyword', t.Category, t.Subcategory),
+    isSavingSource: src => test('saving source', src),
+    isLiabilitySource: src => test('liability source', src),
+    hasLiabilityKeyword: (...vals) => test('liability keyword', ...vals),
+    hasRepaymentKeyword: (...vals) => test('repayment keyword', ...vals),
+    isLiquidSource: src => test('liquid source', src),
+    isLiquidWalletType: type => test('liquid wallet type', type),
+    inferWalletType: name => (test('bank wallet name', name) ? 'Cash & Bank' : (test('e-wallet name', name) ? 'E-Wallet' : '')),
+    isZakatWalletType: type => test('zakat wallet type', type),
+    isInvestmentWalletType: type => test('investment wallet type', type),
+    isCoreExpenseRatio: ratio => test('core expense ratio', ratio)
+  };
+  // Wallet Type (bila ada) menentukan; tanpa Type pakai nama wallet lalu Source yang pernah dipakai
+  classifier.isLiquidWallet = (name, type, sources) => (type
+    ? classifier.isLiquidWalletType(type)
+    : !!classifier.inferWalletType(name) || (sources || []).some(classifier.isLiquidSource));
+  classifierMemo_ = classifier;
+  return classifier;
+}
+
+/**
+ * Membuat sheet Rules berisi aturan bawaan agar mudah diubah (jalankan sekali dari editor).
+ * Sheet yang sudah ada tidak ditimpa.
+ */
+function setupRulesSheet() {
+  const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+  if (ss.getSheetByName(RULES_SHEET)) return `Sheet ${RULES_SHEET} sudah ada.`;
+  const sheet = ss.insertSheet(RULES_SHEET);
+  const titleCase = s => s.replace(/(^|[\s-])([a-z])/g, (m, sep, c) => sep + c.toUpperCase());
+  const rows = [['Rule', 'Pattern', 'Match', 'Active']];
+  Object.keys(DEFAULT_CLASSIFICATION_RULES).forEach(rule => {
+    const def = DEFAULT_CLASSIFICATION_RULES[rule];
+    def.patterns.forEach(p => rows.push(typeof p === 'string' ? [titleCase(rule), p, def.match, true] : [titleCase(rule), p.pattern, p.match, true]));
+  });
+  sheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+  sheet.setFrozenRows(1);
+  try { CacheService.getUserCache().remove(`rawSheetData_${RULES_SHEET}`); } catch (e) { /* ignore */ }
+  return `Sheet ${RULES_SHEET} dibuat dengan ${rows.length - 1} aturan bawaan.`;
+}
+
+// #endregion
+
+// #region CURRENCY & FX RATES
+// =================================================================
+//                     CURRENCY & FX RATES
+// =================================================================
+
+// Memo konverter per eksekusi, agar sheet FX Rates tidak dibaca ulang di setiap kalkulasi.
+let fxConverterMemo_ = null;
+
+/**
+ * Normalisasi kode mata uang (trim + uppercase). Nilai kosong -> ''.
+ */
+function normalizeCurrencyCode_(v) {
+  return String(v === null || v === undefined ? '' : v).trim().toUpperCase();
+}
+
+/**
+ * Menentukan base currency pelaporan.
+ * Prioritas: filters.baseCurrency > Script Property BASE_CURRENCY > DEFAULT_CURRENCY.
+ * @param {object} filters Objek filter dari frontend.
+ * @returns {string} Kode mata uang base.
+ */
+function resolveBaseCurrency_(filters) {
+  let fromProps = '';
+  try { fromProps = PropertiesService.getScriptProperties().getProperty('BASE_CURRENCY') || ''; } catch (e) { /* ignore */ }
+  return normalizeCurrencyCode_((filters && filters.baseCurrency) || fromProps) || DEFAULT_CURRENCY;
+}
+
+// Kode ISO 4217 yang dikenali di sel Amount (selain kode yang ada di FX Rates / Wallet Setup)
+const KNOWN_CURRENCY_CODES = [
+  'IDR', 'USD', 'SGD', 'MYR', 'EUR', 'GBP', 'JPY', 'AUD', 'CNY', 'HKD', 'SAR', 'AED',
+  'THB', 'KRW', 'TWD', 'PHP', 'VND', 'INR', 'CHF', 'CAD', 'NZD', 'BND', 'QAR', 'KWD', 'TRY'
+];
+
+/**
+ * Deteksi kode mata uang yang ditulis langsung di sel Amount, misal "USD 12.50", "S$ 40", "Rp 2.500".
+ * Kata tiga huruf hanya dianggap kode bila ada di KNOWN_CURRENCY_CODES atau `knownCodes`
+ * (mis. "10 pcs" bukan mata uang).
+ * @param {*} val Nilai mentah sel Amount.
+ * @param {Set<string>} [knownCodes] Kode tambahan yang dikenal (FX Rates, Wallet Setup).
+ * @returns {string} Kode mata uang, atau '' jika tidak terdeteksi.
+ */
+function extractCurrencyCode_(val, knownCodes) {
+  if (typeof val !== 'string') return '';
+  const s = val.trim();
+  if (/^-?\s*S\$/i.test(s)) return 'SGD';
+  if (/^-?\s*US\$/i.test(s)) return 'USD';
+  if (/^-?\s*Rp/i.test(s)) return 'IDR';
+  const words = s.match(/[A-Za-z]+/g) || [];
+  for (const w of words) {
+    const code = w.toUpperCase();
+    if (code.length === 3 && (KNOWN_CURRENCY_CODES.includes(code) || (knownCodes && knownCodes.has(code)))) return code;
+  }
+  return '';
+}
+
+/**
+ * Membangun konverter kurs dari sheet FX Rates.
+ * Format sheet FX Rates: Date | Currency | Rate, dengan Rate = nilai 1 unit Currency dalam DEFAULT_CURRENCY.
+ * Kurs yang dipakai adalah kurs terakhir pada/sebelum tanggal transaksi; jika belum ada,
+ * dipakai kurs paling awal yang tersedia. Mata uang tanpa kurs sama sekali TIDAK dicampur ke total:
+ * convert() mengembalikan 0 dan mata uangnya dilaporkan lewat missingCurrencies() / canConvert().
+ * @param {Array<Array>} fxData Data mentah sheet FX Rates (boleh kosong).
+ * @param {Array<Array>} walletData Data mentah Wallet Setup (kolom Currency opsional).
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @returns {{baseCurrency:string, currencies:Array<string>, currencyOf:Function, rateOf:Function, canConvert:Function, missingCurrencies:Function, convert:Function}}
+ */
+function buildFxConverter_(fxData, walletData, baseCurrency) {
+  const base = normalizeCurrencyCode_(baseCurrency) || DEFAULT_CURRENCY;
+
+  // Currency -> [{time, rate}] urut ASC berdasarkan tanggal
+  const ratesByCurrency = {};
+  if (fxData && fxData.length > 1) {
+    const headers = fxData[0];
+    const idxDate = ciIndex_(headers, 'Date');
+    const idxCur = ciIndex_(headers, 'Currency');
+    const idxRate = ciIndex_(headers, 'Rate');
+    for (let r = 1; r < fxData.length; r++) {
+      const row = fxData[r];
+      const cur = normalizeCurrencyCode_(row[idxCur]);
+      const rate = normalizeNumber_(row[idxRate]);
+      const d = new Date(row[idxDate]);
+      if (!cur || !(rate > 0) || isNaN(d.getTime())) continue;
+      (ratesByCurrency[cur] = ratesByCurrency[cur] || []).push({ time: d.getTime(), rate });
+    }
+    Object.keys(ratesByCurrency).forEach(c => ratesByCurrency[c].sort((a, b) => a.time - b.time));
+  }
+
+  // Wallet -> currency dari kolom Currency di Wallet Setup
+  const walletCurrency = {};
+  if (walletData && walletData.length > 1) {
+    const idxWallet = ciIndex_(walletData[0], 'Wallet');
+    const idxCur = ciIndex_(walletData[0], 'Currency');
+    if (idxWallet !== -1 && idxCur !== -1) {
+      for (let r = 1; r < walletData.length; r++) {
+        const cur = normalizeCurrencyCode_(walletData[r][idxCur]);
+        if (walletData[r][idxWallet] && cur) walletCurrency[walletData[r][idxWallet]] = cur;
+      }
+    }
+  }
+
+  const warned = new Set();
+  // Nilai 1 unit `currency` dalam DEFAULT_CURRENCY pada `date` (null jika kurs tidak tersedia)
+  const rateOf = (currency, date) => {
+    const cur = normalizeCurrencyCode_(currency) || DEFAULT_CURRENCY;
+    if (cur === DEFAULT_CURRENCY) return 1;
+    const list = ratesByCurrency[cur];
+    if (!list || !list.length) {
+      if (!warned.has(cur)) {
+        warned.add(cur);
+        console.warn(`[FX] Kurs ${cur} tidak ada di sheet '${FX_RATES_SHEET}'; nilai ${cur} dikeluarkan dari total.`);
+      }
+      return null;
+    }
+    const t = (date instanceof Date && !isNaN(date.getTime())) ? date.getTime() : Date.now();
+    let lo = 0, hi = list.length - 1, found = 0;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].time <= t) { found = mid; lo = mid + 1; } else { hi = mid - 1; }
+    }
+    return list[found].rate;
+  };
+
+  const currencies = new Set([DEFAULT_CURRENCY, base, ...Object.keys(ratesByCurrency), ...Object.values(walletCurrency)]);
+  const knownCodes = new Set(currencies);
+
+  return {
+    baseCurrency: base,
+    currencies: Array.from(currencies).sort(),
+    walletCurrencyOf: wallet => walletCurrency[wallet] || '',
+    /**
+     * Mata uang sebuah baris: kolom Currency > kode di sel Amount > Currency wallet > DEFAULT_CURRENCY.
+     */
+    currencyOf: (rowCurrency, wallet, rawAmount) =>
+      normalizeCurrencyCode_(rowCurrency) || extractCurrencyCode_(rawAmount, knownCodes) || walletCurrency[wallet] || DEFAULT_CURRENCY,
+    rateOf,
+    /**
+     * true jika `currency` bisa dikonversi ke `target` (default: base currency).
+     */
+    canConvert: (currency, target) => {
+      const from = normalizeCurrencyCode_(currency) || DEFAULT_CURRENCY;
+      const to = normalizeCurrencyCode_(target) || base;
+      return from === to || (rateOf(from) !== null && rateOf(to) !== null);
+    },
+    /** Mata uang yang ditemui tanpa kurs di FX Rates (nilainya dikeluarkan dari total). */
+    missingCurrencies: () => Array.from(warned).sort(),
+    /**
+     * Konversi amount dari `currency` ke `target` (default: base currency) memakai kurs tanggal `date`.
+     * Kurs tidak tersedia -> 0, agar nilai asing tidak dijumlah seolah base currency.
+     */
+    convert: (amount, currency, date, target) => {
+      const from = normalizeCurrencyCode_(currency) || DEFAULT_CURRENCY;
+      const to = normalizeCurrencyCode_(target) || base;
+      if (!amount || from === to) return amount;
+      const fromRate = rateOf(from, date);
+      const toRate = rateOf(to, date);
+      if (fromRate === null || toRate === null) return 0;
+      return amount * fromRate / toRate;
+    }
+  };
+}
+
+/**
+ * Mengambil konverter kurs untuk base currency tertentu (memo per eksekusi).
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @param {boolean} forceRefresh Jika true, baca ulang FX Rates & Wallet Setup dari sheet.
+ */
+function getFxConverter_(baseCurrency, forceRefresh) {
+  const base = normalizeCurrencyCode_(baseCurrency) || DEFAULT_CURRENCY;
+  if (!forceRefresh && fxConverterMemo_ && fxConverterMemo_.baseCurrency === base) return fxConverterMemo_;
+  const fxData = getRawSheetData_(FX_RATES_SHEET, forceRefresh, true);
+  const walletData = getRawSheetData_(WALLET_SETUP_SHEET, forceRefresh, true);
+  fxConverterMemo_ = buildFxConverter_(fxData, walletData, base);
+  return fxConverterMemo_;
+}
+
+// #endregion
+
+// #region LOANS & AMORTIZATION
+// =================================================================
+//                     LOANS & AMORTIZATION
+// =================================================================
+
+/**
+ * Tanggal jatuh tempo ke-n: bulan (start + months) pada paymentDay, di-clamp ke akhir bulan
+ * (mis. paymentDay 31 di Februari -> 28/29).
+ */
+function addMonthsClamped_(date, months, day) {
+  const y = date.getFullYear();
+  const m = date.getMonth() + months;
+  const lastDay = new Date(y, m + 1, 0).getDate();
+  return new Date(y, m, Math.min(day, lastDay));
+}
+
+/**
+ * Membuat jadwal amortisasi anuitas (cicilan tetap per bulan).
+ * Cicilan pertama jatuh satu bulan setelah startDate pada paymentDay.
+ * @param {number} principal Pokok pinjaman.
+ * @param {number} annualRatePct Bunga per tahun dalam persen (mis. 9.5). 0 = tanpa bunga.
+ * @param {number} tenorMonths Jumlah cicilan (bulan).
+ * @param {Date} startDate Tanggal pencairan / akad.
+ * @param {number} [paymentDay] Tanggal bayar tiap bulan (1-31). Default: tanggal startDate.
+ * @returns {Array<Object>} [{ No, DueDate, Payment, Interest, PrincipalPart, Balance }]
+ */
+function buildAmortizationSchedule_(principal, annualRatePct, tenorMonths, startDate, paymentDay) {
+  const n = Math.floor(tenorMonths);
+  if (!(principal > 0) || !(n > 0) || !(startDate instanceof Date) || isNaN(startDate.getTime())) return [];
+  const day = paymentDay >= 1 && paymentDay <= 31 ? Math.floor(paymentDay) : startDate.getDate();
+  const r = (annualRatePct || 0) / 12 / 100;
+  const round2 = v => Math.round(v * 100) / 100;
+  const payment = r > 0 ? principal * r / (1 - Math.pow(1 + r, -n)) : principal / n;
+
+  const rows = [];
+  let balance = principal;
+  for (let i = 1; i <= n; i++) {
+    const interest = balance * r;
+    // Cicilan terakhir menutup sisa pokok (hindari sisa akibat pembulatan)
+    const principalPart = i === n ? balance : payment - interest;
+    balance = Math.max(0, balance - principalPart);
+    rows.push({
+      No: i,
+      DueDate: addMonthsClamped_(startDate, i, day),
+      Payment: round2(principalPart + interest),
+      Interest: round2(interest),
+      PrincipalPart: round2(principalPart),
+      Balance: round2(balance)
+    });
+  }
+  return rows;
+}
+
+/**
+ * Menghitung status tiap pinjaman di sheet Loans sampai cutoffDate.
+ *
+ * Kolom sheet Loans: Loan | Wallet | Wallet Owner | Principal | Interest Rate | Tenor | Start Date | Payment Day
+ * (+ opsional Currency). Interest Rate dalam poin persen per tahun: "9.5%" atau 9.5 (0.5 = 0,5%, bukan 50%).
+ *
+ * Jumlah cicilan terbayar dihitung dari total pembayaran di ledger (buildLiabilityLedger_) untuk nama Loan
+ * yang sama. Tanpa catatan pembayaran tidak ada cicilan yang dianggap terbayar: cicilan yang jatuh tempo
+ * <= cutoffDate dihitung sebagai tunggakan (OverdueCount, Schedule[].Overdue).
+ *
+ * @param {Array<Array>} loansData Data mentah sheet Loans (boleh kosong).
+ * @param {Array<Object>} ledger Hasil buildLiabilityLedger_ untuk cutoff & owner yang sama.
+ * @param {Date} cutoffDate Tanggal acuan.
+ * @param {string} [ownerFilter] Batasi ke Wallet Owner tertentu.
+ * @param {string} [baseCurrency] Mata uang pelaporan.
+ * @returns {Array<Object>} Ringkasan per pinjaman termasuk Schedule lengkap.
+ */
+function calculateLoanSchedules_(loansData, ledger, cutoffDate, ownerFilter, baseCurrency) {
+  if (!loansData || loansData.length < 2) return [];
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const tz = Session.getScriptTimeZone();
+  const repaidByLoan = {};
+  (ledger || []).forEach(l => { repaidByLoan[normStr_(l.Loan)] = l.Repaid || 0; });
+  const cutoff = cutoffDate || new Date();
+
+  const out = [];
+  parseLoanRows_(loansData, fx).forEach(loan => {
+    const { name, start, rate, schedule, currency } = loan;
+    if (ownerFilter && loan.owner !== ownerFilter) return;
+    // Konversi nominal ke base currency memakai kurs pada cutoff
+    const conv = v => fx.convert(v, currency, cutoff);
+
+    const repaid = repaidByLoan[normStr_(name)] || 0;
+    const paidCount = loanPaidCount_(schedule, repaid, conv);
+    // Tunggakan: cicilan belum terbayar yang sudah jatuh tempo pada cutoff
+    const isArrear = s => s.No > paidCount && s.DueDate <= cutoff;
+    const overdueCount = schedule.filter(isArrear).length;
+
+    const next = schedule[paidCount] || null;
+    const last = schedule[schedule.length - 1];
+    const outstandingNative = loanOutstandingNative_(loan, paidCount);
+    const todayMid = new Date(); todayMid.setHours(0,0,0,0);
+
+    out.push({
+      UniqueID: Utilities.getUuid(),
+      Loan: name,
+      Wallet: loan.wallet,
+      Owner: loan.owner,
+      Currency: currency,
+      RawStartDate: Utilities.formatDate(start, tz, 'yyyy-MM-dd'),
+      Principal: conv(loan.principal),
+      InterestRate: rate,
+      TenorMonths: schedule.length,
+      Installment: conv(schedule[0].Payment),
+      PaidCount: paidCount,
+      RemainingTenor: schedule.length - paidCount,
+      Outstanding: conv(outstandingNative),
+      Repaid: repaid,
+      OverdueCount: overdueCount,
+      NextDueDate: next ? formatDateForDisplay_(next.DueDate) : '',
+      RawNextDueDate: next ? Utilities.formatDate(next.DueDate, tz, 'yyyy-MM-dd') : '',
+      NextInstallment: next ? conv(next.Payment) : 0,
+      isOverdue: !!next && next.DueDate < todayMid,
+      PayoffDate: formatDateForDisplay_(last.DueDate),
+      RawPayoffDate: Utilities.formatDate(last.DueDate, tz, 'yyyy-MM-dd'),
+      Schedule: schedule.map(s => ({
+        No: s.No,
+        DueDate: Utilities.formatDate(s.DueDate, tz, 'yyyy-MM-dd'),
+        Payment: conv(s.Payment),
+        Interest: conv(s.Interest),
+        PrincipalPart: conv(s.PrincipalPart),
+        Balance: conv(s.Balance),
+        Paid: s.No <= paidCount,
+        Overdue: isArrear(s)
+      }))
+    });
+  });
+  return out;
+}
+
+/**
+ * Baris valid sheet Loans beserta jadwal amortisasinya (mata uang asli). Dipisah dari calculateLoanSchedules_
+ * agar calculateNetWorthHistory_ cukup membangun jadwal sekali untuk semua bulan.
+ * @param {Array<Array>} loansData Data mentah sheet Loans.
+ * @param {Object} fx Hasil getFxConverter_ (untuk menentukan mata uang pinjaman).
+ * @returns {Array<{name: string, wallet: string, owner: string, start: Date, rate: number, principal: number,
+ *   currency: string, schedule: Array<Object>}>}
+ */
+function parseLoanRows_(loansData, fx) {
+  if (!loansData || loansData.length < 2) return [];
+  const copy = [...loansData];
+  const headers = copy.shift() || [];
+  const idxName = ciIndex_(headers, 'Loan') !== -1 ? ciIndex_(headers, 'Loan') : ciIndex_(headers, 'Name');
+  const idxWallet = ciIndex_(headers, 'Wallet');
+  const idxOwner = ciIndex_(headers, 'Wallet Owner');
+  const idxPrincipal = ciIndex_(headers, 'Principal');
+  const idxRate = ciIndex_(headers, 'Interest Rate');
+  const idxTenor = ciIndex_(headers, 'Tenor');
+  const idxStart = ciIndex_(headers, 'Start Date');
+  const idxPayDay = ciIndex_(headers, 'Payment Day');
+  const idxCurrency = ciIndex_(headers, 'Currency');
+  if (idxName === -1 || idxPrincipal === -1 || idxTenor === -1 || idxStart === -1) {
+    console.warn(`[Loans] Sheet '${LOANS_SHEET}' butuh kolom Loan, Principal, Tenor, Start Date.`);
+    return [];
+  }
+
+  const out = [];
+  copy.forEach(row => {
+    const name = String(row[idxName] || '').trim();
+    if (!name) return;
+    const ownerVal = idxOwner !== -1 ? row[idxOwner] : '';
+    const walletVal = idxWallet !== -1 ? row[idxWallet] : '';
+    const start = new Date(row[idxStart]);
+    const principalNative = normalizeNumber_(row[idxPrincipal]);
+    const rate = idxRate !== -1 ? Math.max(0, normalizeNumber_(row[idxRate])) : 0;
+    const tenor = normalizeNumber_(row[idxTenor]);
+    const payDay = idxPayDay !== -1 ? normalizeNumber_(row[idxPayDay]) : 0;
+
+    const schedule = buildAmortizationSchedule_(Math.abs(principalNative), rate, tenor, start, payDay);
+    if (!schedule.length) {
+      console.warn(`[Loans] Baris '${name}' dilewati: Principal/Tenor/Start Date tidak valid.`);
+      return;
+    }
+
+    out.push({
+      name, wallet: walletVal, owner: ownerVal, start, rate, schedule,
+      principal: Math.abs(principalNative),
+      currency: fx.currencyOf(idxCurrency !== -1 ? row[idxCurrency] : '', walletVal, row[idxPrincipal])
+    });
+  });
+  return out;
+}
+
+/**
+ * Jumlah cicilan lunas dari total pembayaran (base currency), berurutan dari cicilan pertama.
+ * Toleransi 1% cicilan untuk selisih pembulatan saat mencatat pembayaran.
+ * @param {Function} conv Konversi nominal jadwal ke base currency.
+ */
+function loanPaidCount_(schedule, repaid, conv) {
+  let paidCount = 0;
+  let cumulative = 0;
+  for (const s of schedule) {
+    if (!(repaid > 0)) break;
+    cumulative += conv(s.Payment);
+    if (cumulative > repaid + conv(s.Payment) * 0.01) break;
+    paidCount++;
+  }
+  return paidCount;
+}
+
+/** Sisa pokok (mata uang asli) setelah paidCount cicilan. */
+function loanOutstandingNative_(loan, paidCount) {
+  return paidCount > 0 ? loan.schedule[paidCount - 1].Balance : loan.principal;
+}
+
+/**
+ * Saldo liabilitas gabungan pada cutoffDate:
+ *  - pinjaman di sheet Loans memakai jadwal amortisasi (calculateLoanSchedules_),
+ *  - sisanya (kartu kredit, hutang informal, dll) memakai ledger transaksi (buildLiabilityLedger_).
+ * Entri ledger dengan nama yang sama dengan Loan di sheet Loans tidak dihitung dua kali.
+ * @returns {{ ledger: Array<Object>, loans: Array<Object>, total: number }}
+ */
+function getLiabilityBalances_(allTransactionsData, cutoffDate, ownerFilter, baseCurrency) {
+  const fullLedger = buildLiabilityLedger_(allTransactionsData, cutoffDate, ownerFilter, baseCurrency);
+  return combineLiabilityBalances_(fullLedger, getRawSheetData_(LOANS_SHEET, false, true), cutoffDate, ownerFilter, baseCurrency);
+}
+
+// Pinjaman ledger yang sudah diperingatkan (pembayaran tanpa pokok), agar log tidak berulang per eksekusi
+const unmatchedRepaymentWarned_ = new Set();
+
+/** Gabungkan ledger transaksi dengan pinjaman sheet Loans (lihat getLiabilityBalances_). */
+function combineLiabilityBalances_(fullLedger, loansData, cutoffDate, ownerFilter, baseCurrency) {
+  const loans = calculateLoanSchedules_(loansData, fullLedger, cutoffDate, ownerFilter, baseCurrency);
+  const loanNames = new Set(loans.map(l => normStr_(l.Loan)));
+  const ledger = fullLedger.filter(l => !loanNames.has(normStr_(l.Loan)));
+  ledger.forEach(l => {
+    if (!(l.UnmatchedRepaid > 0.5) || unmatchedRepaymentWarned_.has(normStr_(l.Loan))) return;
+    unmatchedRepaymentWarned_.add(normStr_(l.Loan));
+    console.warn(`[Liabilities] Pembayaran '${l.Loan}' (${l.UnmatchedRepaid}) tidak cocok dengan pinjaman mana pun; isi kolom Loan di Input atau tambahkan ke sheet '${LOANS_SHEET}'.`);
+  });
+  const total = ledger.reduce((s, l) => s + l.Outstanding, 0) + loans.reduce((s, l) => s + l.Outstanding, 0);
+  return { ledger, loans, total };
+}
+
+// #endregion
+
+// #region INVESTMENT HOLDINGS
+// =================================================================
+//                     INVESTMENT HOLDINGS
+// =================================================================
+
+// Memo isi sheet Holdings & Prices yang sudah diparse, per eksekusi
+let holdingsMemo_ = null;
+
+/**
+ * Membaca sheet opsional Holdings dan Prices.
+ *  - Holdings: Date | Wallet | Instrument | Action (Buy / Sell) | Units | Amount (+ opsional Currency, Wallet Owner).
+ *    Amount = total biaya beli (termasuk fee) atau total hasil jual. Units negatif juga dianggap Sell.
+ *  - Prices: Date | Instrument | Price (+ opsional Currency) — harga per unit.
+ * @param {boolean} [forceRefresh] Baca ulang dari sheet.
+ * @returns {{trades:Array<Object>, prices:Object<string, Array<Object>>}}
+ */
+function getHoldingsData_(forceRefresh) {
+  if (holdingsMemo_ && !forceRefresh) return holdingsMemo_;
+  const holdingsData = getRawSheetData_(HOLDINGS_SHEET, forceRefresh, true);
+  const pricesData = getRawSheetData_(PRICES_SHEET, forceRefresh, true);
+  const trades = [];
+  const prices = {};
+
+  if (holdingsData && holdingsData.length > 1) {
+    const headers = holdingsData[0];
+    const col = name => ciIndex_(headers, name);
+    const idx = { date: col('Date'), wallet: col('Wallet'), instrument: col('Instrument'), action: col('Action'), units: col('Units'),
+      amount: col('Amount') !== -1 ? col('Amount') : col('Cost'), currency: col('Currency'), owner: col('Wallet Owner') };
+    if (idx.wallet === -1 || idx.instrument === -1 || idx.units === -1 || idx.amount === -1) {
+      console.warn(`[Holdings] Sheet '${HOLDINGS_SHEET}' butuh kolom Wallet, Instrument, Units dan Amount.`);
+    } else {
+      const ownerByWallet = {};
+      const walletSetup = getRawSheetData_(WALLET_SETUP_SHEET, false);
+      if (walletSetup && walletSetup.length > 1) {
+        const wIdx = ciIndex_(walletSetup[0], 'Wallet'), oIdx = ciIndex_(walletSetup[0], 'Wallet Owner');
+        walletSetup.slice(1).forEach(row => { if (row[wIdx]) ownerByWallet[row[wIdx]] = oIdx !== -1 ? row[oIdx] : ''; });
+      }
+      holdingsData.slice(1).forEach(row => {
+        const date = new Date(row[idx.date]);
+        const wallet = row[idx.wallet];
+        const instrument = String(row[idx.instrument] || '').trim();
+        const rawUnits = normalizeNumber_(row[idx.units]);
+        if (!wallet || !instrument || !rawUnits || isNaN(date.getTime())) return;
+        const action = normStr_(idx.action !== -1 ? row[idx.action] : '');
+        const isSell = rawUnits < 0 || ['sell', 'jual', 'redeem', 'redemption'].includes(action);
+        trades.push({
+          Date: date,
+          Wallet: wallet,
+          Owner: (idx.owner !== -1 && row[idx.owner]) || ownerByWallet[wallet] || '',
+          Instrument: instrument,
+          IsSell: isSell,
+          Units: Math.abs(rawUnits),
+          Amount: Math.abs(normalizeNumber_(row[idx.amount])),
+          Currency: idx.currency !== -1 ? normalizeCurrencyCode_(row[idx.currency]) : '',
+          RawAmount: row[idx.amount]
+        });
+      });
+      trades.sort((a, b) => a.Date - b.Date);
+    }
+  }
+
+  if (pricesData && pricesData.length > 1) {
+    const headers = pricesData[0];
+    const idxDate = ciIndex_(headers, 'Date'), idxInstrument = ciIndex_(headers, 'Instrument');
+    const idxPrice = ciIndex_(headers, 'Price'), idxCurrency = ciIndex_(headers, 'Currency');
+    pricesData.slice(1).forEach(row => {
+      const date = new Date(row[idxDate]);
+      const key = normStr_(row[idxInstrument]);
+      const price = normalizeNumber_(row[idxPrice]);
+      if (!key || !price || isNaN(date.getTime())) return;
+      (prices[key] = prices[key] || []).push({ Date: date, Price: price, Currency: idxCurrency !== -1 ? normalizeCurrencyCode_(row[idxCurrency]) : '' });
+    });
+    Object.values(prices).forEach(list => list.sort((a, b) => a.Date - b.Date));
+  }
+
+  holdingsMemo_ = { trades, prices };
+  return holdingsMemo_;
+}
+
+/**
+ * Valuasi posisi investasi per wallet pada cutoffDate (metode average cost).
+ * Harga = baris Prices terakhir <= cutoffDate; bila belum ada, harga per unit transaksi terakhir (PriceSource 'Trade').
+ * Biaya dikonversi ke base currency dengan kurs tanggal transaksi, market value dengan kurs cutoffDate.
+ *
+ * Saldo wallet di Input tetap mencatat kas masuk/keluar; nilai wallet = saldo kas - CostBasis + MarketValue
+ * + hasil jual = saldo + UnrealizedGain + RealizedGain (TotalGain). Jadi pembelian harus didanai dari saldo wallet
+ * tsb (transfer ke wallet investasi) dan hasil jual tetap dianggap kas di wallet itu sampai ditransfer keluar di Input.
+ *
+ * @param {Date} cutoffDate Tanggal valuasi.
+ * @param {string} [baseCurrency] Mata uang pelaporan.
+ * @param {string} [ownerFilter] Batasi ke Wallet Owner tertentu.
+ * @returns {{wallets:Object<string, Object>, totalGain:number}} totalGain = unrealized + realized gain semua wallet.
+ *   wallets: Wallet -> { Wallet, Owner, CostBasis, MarketValue, UnrealizedGain, GainPct, RealizedGain, TotalGain,
+ *   Positions:[{ Instrument, Units, CostBasis, Price, PriceDate, PriceSource, MarketValue, UnrealizedGain, GainPct }] }
+ */
+function calculateHoldingsValuation_(cutoffDate, baseCurrency, ownerFilter) {
+  const { trades, prices } = getHoldingsData_();
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const cutoff = cutoffDate || new Date();
+  const positions = {}; // wallet|instrument -> posisi
+
+  trades.forEach(t => {
+    if (t.Date > cutoff) return;
+    if (ownerFilter && t.Owner !== ownerFilter) return;
+    const key = `${t.Wallet}|${normStr_(t.Instrument)}`;
+    const currency = t.Currency || fx.currencyOf('', t.Wallet, t.RawAmount);
+    const p = positions[key] || (positions[key] = { Wallet: t.Wallet, Owner: t.Owner, Instrument: t.Instrument, Currency: currency, Units: 0, CostBasis: 0, RealizedGain: 0, LastTrade: null });
+    const amount = fx.convert(t.Amount, currency, t.Date);
+    if (t.IsSell) {
+      const units = Math.min(t.Units, p.Units);
+      const costOut = p.Units > 0 ? p.CostBasis * units / p.Units : 0;
+      p.CostBasis -= costOut;
+      p.Units -= units;
+      p.RealizedGain += amount - costOut;
+    } else {
+      p.Units += t.Units;
+      p.CostBasis += amount;
+    }
+    p.LastTrade = { Date: t.Date, Price: t.Amount / t.Units };
+  });
+
+  const wallets = {};
+  let totalGain = 0;
+  Object.values(positions).forEach(p => {
+    const history = prices[normStr_(p.Instrument)] || [];
+    let quote = null;
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].Date <= cutoff) { quote = history[i]; break; }
+    }
+    const price = quote ? quote.Price : p.LastTrade.Price;
+    const priceCurrency = (quote && quote.Currency) || p.Currency;
+    const marketValue = p.Units > 1e-9 ? fx.convert(p.Units * price, priceCurrency, cutoff) : 0;
+    const costBasis = p.Units > 1e-9 ? p.CostBasis : 0;
+    const gain = marketValue - costBasis;
+
+    const w = wallets[p.Wallet] || (wallets[p.Wallet] = { Wallet: p.Wallet, Owner: p.Owner, CostBasis: 0, MarketValue: 0, UnrealizedGain: 0, GainPct: 0, RealizedGain: 0, TotalGain: 0, Positions: [] });
+    w.CostBasis += costBasis;
+    w.MarketValue += marketValue;
+    w.UnrealizedGain += gain;
+    w.RealizedGain += p.RealizedGain;
+    w.TotalGain += gain + p.RealizedGain;
+    if (p.Units > 1e-9) {
+      w.Positions.push({
+        Instrument: p.Instrument,
+        Units: p.Units,
+        CostBasis: costBasis,
+        Price: price,
+        PriceCurrency: priceCurrency,
+        PriceDate: Utilities.formatDate(quote ? quote.Date : p.LastTrade.Date, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+        PriceSource: quote ? 'Prices' : 'Trade',
+        MarketValue: marketValue,
+        UnrealizedGain: gain,
+        GainPct: costBasis > 0 ? gain / costBasis * 100 : 0
+      });
+    }
+    totalGain += gain + p.RealizedGain;
+  });
+  Object.values(wallets).forEach(w => {
+    w.GainPct = w.CostBasis > 0 ? w.UnrealizedGain / w.CostBasis * 100 : 0;
+    w.Positions.sort((a, b) => b.MarketValue - a.MarketValue);
+  });
+  return { wallets, totalGain };
+}
+
+/**
+ * Perubahan TotalGain investasi (unrealized + realized) selama periode: valuasi akhir periode dikurangi valuasi
+ * sesaat sebelum periode dimulai. Ditambahkan ke saving agar Savings Performance memakai nilai pasar.
+ * @param {Date} startDate Awal periode.
+ * @param {Date} endDate Akhir periode.
+ * @param {string} [baseCurrency] Mata uang pelaporan.
+ * @param {string} [ownerFilter] Batasi ke Wallet Owner tertentu.
+ * @returns {number} 0 bila tanggal tidak valid atau tidak ada Holdings.
+ */
+function calculateInvestmentGainChange_(startDate, endDate, baseCurrency, ownerFilter) {
+  if (!startDate || !endDate || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) return 0;
+  const before = calculateHoldingsValuation_(new Date(startDate.getTime() - 1), baseCurrency, ownerFilter).totalGain;
+  return calculateHoldingsValuation_(endDate, baseCurrency, ownerFilter).totalGain - before;
+}
+
+// #endregion
+
+// #region SCHEDULED TRANSACTIONS ENGINE
+// =================================================================
+//                 SCHEDULED TRANSACTIONS ENGINE
+// =================================================================
+
+// Batas occurrence yang di-posting per baris dalam satu run (mis. jadwal harian yang tertunda setahun)
+const SCHEDULED_MAX_CATCHUP = 366;
+// Kolom ScheduledTransactions berisi tanggal asli jadwal bulanan/tahunan (lihat scheduleAnchorDay_)
+const SCHEDULED_ANCHOR_HEADER = 'Anchor Day';
+
+/**
+ * Entry point time-driven trigger: posting ScheduledTransactions yang jatuh tempo ke sheet Input
+ * lalu memajukan NextDueDate sesuai Frequency.
+ *
+ * Kolom ScheduledTransactions yang dipakai:
+ *  - Status: Active (diproses), Paused (diabaikan), Skip (occurrence berikutnya dilewati tanpa posting,
+ *    lalu kembali Active), Completed (diisi otomatis saat jadwal selesai).
+ *  - NextDueDate, Frequency (lihat parseFrequency_; kosong = sekali jalan), End Date (opsional).
+ *  - LastPosted: tanggal occurrence terakhir yang sudah diposting. Dibuat otomatis bila belum ada;
+ *    occurrence <= LastPosted tidak pernah diposting ulang.
+ *  - Anchor Day: tanggal asli jadwal bulanan/tahunan (1-31). Dibuat otomatis dan diisi sekali dari
+ *    NextDueDate bila kosong; semua occurrence dimajukan dari tanggal ini (31 -> 28 Feb -> 31 Mar),
+ *    bukan dari NextDueDate yang mungkin sudah di-clamp.
+ *  - Kolom lain yang namanya sama dengan header Input (Wallet, Category, Amount, ...) disalin apa adanya.
+ *
+ * Semua baris Input baru ditulis sekaligus (satu setValues), lalu kolom jadwal yang berubah juga
+ * ditulis per kolom sekaligus, agar catch-up panjang tidak menabrak batas waktu eksekusi.
+ *
+ * @returns {{posted: number, skipped: number, completed: number}} Ringkasan hasil run.
+ */
+function postDueScheduledTransactions() {
+  const summary = { posted: 0, skipped: 0, completed: 0 };
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    console.warn('[Scheduled] Run lain masih berjalan, dilewati.');
+    return summary;
+  }
+  try {
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    const schedSheet = ss.getSheetByName(SCHEDULED_SHEET_NAME);
+    const inputSheet = ss.getSheetByName(DATA_SHEET);
+    if (!schedSheet || !inputSheet) throw new Error(`Sheet '${SCHEDULED_SHEET_NAME}' atau '${DATA_SHEET}' tidak ditemukan.`);
+
+    const sched = schedSheet.getDataRange().getValues();
+    const headers = sched[0] || [];
+    const inputHeaders = inputSheet.getRange(1, 1, 1, inputSheet.getLastColumn()).getValues()[0];
+    const idxStatus = ciIndex_(headers, 'Status');
+    const idxDue = ciIndex_(headers, 'NextDueDate');
+    const idxFreq = ciIndex_(headers, 'Frequency');
+    const idxEnd = ciIndex_(headers, 'End Date');
+    if (idxStatus === -1 || idxDue === -1) throw new Error(`Sheet '${SCHEDULED_SHEET_NAME}' butuh kolom Status dan NextDueDate.`);
+    const ensureColumn = name => {
+      let idx = ciIndex_(headers, name);
+      if (idx === -1) {
+        idx = headers.length;
+        headers.push(name);
+        schedSheet.getRange(1, idx + 1).setValue(name);
+      }
+      return idx;
+    };
+    const idxLast = ensureColumn('LastPosted');
+    const idxAnchor = ensureColumn(SCHEDULED_ANCHOR_HEADER);
+
+    const today = new Date(); today.setHours(23, 59, 59, 999);
+    const newInputRows = [];
+    let scheduleChanged = false;
+    for (let i = 1; i < sched.length; i++) {
+      const row = sched[i];
+      let status = normStr_(row[idxStatus]);
+      if (status !== 'active' && status !== 'skip') continue;
+      let due = new Date(row[idxDue]);
+      if (!row[idxDue] || isNaN(due.getTime())) continue;
+
+      const freq = idxFreq !== -1 ? parseFrequency_(row[idxFreq]) : null;
+      const endRaw = idxEnd !== -1 ? row[idxEnd] : '';
+      const end = endRaw ? new Date(endRaw) : null;
+      const lastRaw = row[idxLast];
+      let lastPosted = lastRaw ? new Date(lastRaw) : null;
+      if (lastPosted && isNaN(lastPosted.getTime())) lastPosted = null;
+      const anchorDay = scheduleAnchorDay_(row[idxAnchor], due);
+      if (freq && (freq.unit === 'month' || freq.unit === 'year') && normalizeNumber_(row[idxAnchor]) !== anchorDay) {
+        row[idxAnchor] = anchorDay; // disimpan sekali, dipakai semua run berikutnya
+        scheduleChanged = true;
+      }
+
+      let guard = 0;
+      while (due && due <= today && guard++ < SCHEDULED_MAX_CATCHUP) {
+        if (end && !isNaN(end.getTime()) && due > end) break;
+        if (status === 'skip') {
+          status = 'active';
+          summary.skipped++;
+        } else if (!lastPosted || due > lastPosted) {
+          newInputRows.push(buildInputRowFromSchedule_(inputHeaders, headers, row, due));
+          lastPosted = new Date(due);
+          row[idxLast] = lastPosted;
+          scheduleChanged = true;
+          summary.posted++;
+        }
+        due = freq ? advanceDueDate_(due, freq, anchorDay) : null;
+      }
+
+      if (!due || (end && !isNaN(end.getTime()) && due > end)) {
+        status = 'completed';
+        summary.completed++;
+      } else if (due.getTime() !== new Date(row[idxDue]).getTime()) {
+        row[idxDue] = due;
+        scheduleChanged = true;
+      }
+      if (status !== normStr_(row[idxStatus])) {
+        row[idxStatus] = status.charAt(0).toUpperCase() + status.slice(1);
+        scheduleChanged = true;
+      }
+    }
+
+    // Tulis Input lalu kolom jadwal berturut-turut (masih di dalam lock) agar LastPosted selalu ikut tersimpan
+    if (newInputRows.length) {
+      inputSheet.getRange(inputSheet.getLastRow() + 1, 1, newInputRows.length, inputHeaders.length).setValues(newInputRows);
+    }
+    if (scheduleChanged && sched.length > 1) {
+      [idxLast, idxAnchor, idxDue, idxStatus].forEach(c => {
+        const values = sched.slice(1).map(r => [r[c] === undefined ? '' : r[c]]);
+        schedSheet.getRange(2, c + 1, values.length, 1).setValues(values);
+      });
+    }
+
+    // Data Input & jadwal berubah: buang cache mentah agar dashboard langsung segar
+    try {
+      CacheService.getUserCache().removeAll([`rawSheetData_${DATA_SHEET}`, `rawSheetData_${SCHEDULED_SHEET_NAME}`]);
+    } catch (e) { /* ignore */ }
+    console.log(`[Scheduled] posted=${summary.posted} skipped=${summary.skipped} completed=${summary.completed}`);
+    return summary;
+  } catch (e) {
+    console.error('postDueScheduledTransactions error', e.stack || e);
+    throw new Error('Gagal memproses ScheduledTransactions: ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Mengembangkan ScheduledTransactions aktif menjadi daftar occurrence dalam rentang [fromDate, toDate]
+ * (mengikuti Frequency & End Date, melewati occurrence <= LastPosted yang sudah ada di Input).
+ * @param {Array<Array>} scheduledData Data mentah sheet ScheduledTransactions.
+ * @param {Date} fromDate Awal rentang.
+ * @param {Date} toDate Akhir rentang.
+ * @param {object} [filters] walletOwner / wallet / expensePurpose / baseCurrency dihormati.
+ * @returns {Array<Object>} [{ Date, Type, Amount (signed, base currency), Category, Subcategory, Description, Wallet, Owner }]
+ */
+function getScheduledOccurrences_(scheduledData, fromDate, toDate, filters) {
+  if (!scheduledData || scheduledData.length < 2) return [];
+  const f = filters || {};
+  const fx = getFxConverter_(resolveBaseCurrency_(f));
+  const headers = scheduledData[0];
+  const col = name => ciIndex_(headers, name);
+  const idx = {
+    status: col('Status'), due: col('NextDueDate'), freq: col('Frequency'), end: col('End Date'), last: col('LastPosted'),
+    anchor: col(SCHEDULED_ANCHOR_HEADER), type: col('Transaction Type'), amount: col('Amount'), category: col('Category'), subcategory: col('Subcategory'),
+    desc: col('Description'), wallet: col('Wallet'), owner: col('Wallet Owner'), purpose: col('Expense Purpose'), currency: col('Currency')
+  };
+  const val = (row, i) => (i !== -1 ? row[i] : '');
+  const out = [];
+  scheduledData.slice(1).forEach(row => {
+    if (normStr_(val(row, idx.status)) !== 'active') return;
+    if (f.walletOwner && val(row, idx.owner) !== f.walletOwner) return;
+    if (f.wallet && val(row, idx.wallet) !== f.wallet) return;
+    if (f.expensePurpose && idx.purpose !== -1 && val(row, idx.purpose) !== f.expensePurpose) return;
+    let due = new Date(val(row, idx.due));
+    if (!val(row, idx.due) || isNaN(due.getTime())) return;
+    const freq = idx.freq !== -1 ? parseFrequency_(row[idx.freq]) : null;
+    const endRaw = val(row, idx.end);
+    const end = endRaw ? new Date(endRaw) : null;
+    const lastRaw = val(row, idx.last);
+    const lastPosted = lastRaw ? new Date(lastRaw) : null;
+    const anchorDay = scheduleAnchorDay_(val(row, idx.anchor), due);
+    const type = normStr_(val(row, idx.type)) || 'expense';
+    const native = Math.abs(normalizeNumber_(val(row, idx.amount)));
+    const currency = fx.currencyOf(val(row, idx.currency), val(row, idx.wallet), val(row, idx.amount));
+
+    let guard = 0;
+    while (due && due <= toDate && guard++ < SCHEDULED_MAX_CATCHUP) {
+      if (end && !isNaN(end.getTime()) && due > end) break;
+      const posted = lastPosted && !isNaN(lastPosted.getTime()) && due <= lastPosted;
+      if (due >= fromDate && !posted && type !== 'transfer') {
+        const signed = type === 'income' ? native : -native;
+        out.push({
+          Date: new Date(due),
+          Type: type,
+          Amount: fx.convert(signed, currency, due),
+          Category: val(row, idx.category),
+          Subcategory: val(row, idx.subcategory),
+          Description: val(row, idx.desc),
+          Wallet: val(row, idx.wallet),
+          Owner: val(row, idx.owner)
+        });
+      }
+      due = freq ? advanceDueDate_(due, freq, anchorDay) : null;
+    }
+  });
+  return out.sort((a, b) => a.Date - b.Date);
+}
+
+/**
+ * Memasang trigger harian untuk postDueScheduledTransactions (jalankan sekali dari editor).
+ * Tidak membuat trigger ganda bila sudah terpasang.
+ */
+function installScheduledTransactionsTrigger() {
+  const handler = 'postDueScheduledTransactions';
+  const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === handler);
+  if (exists) return `Trigger ${handler} sudah terpasang.`;
+  ScriptApp.newTrigger(handler).timeBased().everyDays(1).atHour(1).create();
+  return `Trigger ${handler} dipasang (harian, sekitar pukul 01:00).`;
+}
+
+/**
+ * Parse kolom Frequency.
+ * Didukung: daily, weekly, biweekly, monthly, quarterly, yearly (juga harian/mingguan/bulanan/tahunan)
+ * dan "every N days|weeks|months|years" (mis. "every 3 months").
+ * @returns {{unit: string, n: number}|null} null jika kosong / tidak dikenal (dianggap sekali jalan).
+ */
+function parseFrequency_(v) {
+  const s = normStr_(v);
+  if (!s) return null;
+  const presets = {
+    daily: ['day', 1], harian: ['day', 1],
+    weekly: ['week', 1], mingguan: ['week', 1],
+    biweekly: ['week', 2],
+    monthly: ['month', 1], bulanan: ['month', 1],
+    quarterly: ['month', 3],
+    yearly: ['year', 1], annually: ['year', 1], tahunan: ['year', 1]
+  };
+  if (presets[s]) return { unit: presets[s][0], n: presets[s][1] };
+  const m = s.match(/^every\s+(\d+)\s*(day|week|month|year)s?$/);
+  if (m && Number(m[1]) > 0) return { unit: m[2], n: Number(m[1]) };
+  console.warn(`[Scheduled] Frequency '${v}' tidak dikenal; diperlakukan sebagai sekali jalan.`);
+  return null;
+}
+
+/**
+ * Maju satu occurrence. Untuk month/year, anchorDay menjaga tanggal asli (31 -> 28/29 Feb -> 31 Mar).
+ */
+function advanceDueDate_(date, freq, anchorDay) {
+  if (freq.unit === 'day') return new Date(date.getFullYear(), date.getMonth(), date.getDate() + freq.n);
+  if (freq.unit === 'week') return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7 * freq.n);
+  const months = freq.unit === 'year' ? 12 * freq.n : freq.n;
+  return addMonthsClamped_(date, months, anchorDay || date.getDate());
+}
+
+/**
+ * Tanggal asli jadwal: kolom Anchor Day (1-31) bila valid, selain itu tanggal NextDueDate apa adanya.
+ * Sengaja tidak menebak "akhir bulan" dari NextDueDate: jadwal tanggal 28 yang jatuh di 28 Feb
+ * akan terbaca sebagai akhir bulan dan bergeser ke 31 Mar dst.
+ */
+function scheduleAnchorDay_(rawAnchor, due) {
+  const day = Math.round(normalizeNumber_(rawAnchor));
+  return day >= 1 && day <= 31 ? day : due.getDate();
+}
+
+/**
+ * Susun baris Input dari baris ScheduledTransactions: kolom dengan nama sama disalin, Date = tanggal jatuh tempo.
+ * Transaction Type default 'Expense' bila jadwal tidak punya kolom tersebut.
+ */
+function buildInputRowFromSchedule_(inputHeaders, schedHeaders, schedRow, dueDate) {
+  return inputHeaders.map(h => {
+    const key = normStr_(h);
+    if (key === 'date') return dueDate;
+    const idx = ciIndex_(schedHeaders, h);
+    if (idx !== -1) return schedRow[idx];
+    if (key === 'transaction type') return 'Expense';
+    return '';
+  });
+}
+
+// #endregion
+
+// #region CASH FLOW FORECAST
+// =================================================================
+//                     CASH FLOW FORECAST
+// =================================================================
+
+// Horizon proyeksi saldo (hari). Frontend memotong ke 30/60/90 tanpa request ulang.
+const FORECAST_HORIZON_DAYS = 90;
+// Jendela histori (hari) untuk rata-rata income/expense harian per wallet
+const FORECAST_HISTORY_DAYS = 90;
+
+/**
+ * Memproyeksikan saldo harian wallet likuid (Cash & Bank / E-Wallet) untuk FORECAST_HORIZON_DAYS ke depan.
+ *   saldo(d) = saldo(d-1) + rata-rata harian histori + occurrence ScheduledTransactions pada hari d
+ * Rata-rata histori memakai income/expense FORECAST_HISTORY_DAYS terakhir per wallet (transfer dikecualikan),
+ * tanpa kombinasi Wallet|Category|Subcategory yang sudah dijadwalkan agar tidak terhitung dua kali.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {Array<Array>} scheduledData Data mentah sheet ScheduledTransactions.
+ * @param {Array<Object>} walletStatus Hasil calculateWalletStatus_ (sudah difilter owner bila ada).
+ * @param {object} filters walletOwner / wallet / baseCurrency.
+ * @returns {{Horizon:number, StartDate:string, Wallets:Array<Object>, Days:Array<Object>}}
+ */
+function calculateCashFlowForecast_(allTransactionsData, scheduledData, walletStatus, filters) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const tz = Session.getScriptTimeZone();
+  const today = new Date(); today.setHours(0, 0, 0, 0);
+  const horizonEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + FORECAST_HORIZON_DAYS, 23, 59, 59, 999);
+  const scope = { walletOwner: filters.walletOwner || '', wallet: filters.wallet || '', baseCurrency: filters.baseCurrency };
+
+  const classifier = getClassifier_();
+  const liquid = (walletStatus || []).filter(w => {
+    if (scope.wallet && w.Wallet !== scope.wallet) return false;
+    return classifier.isLiquidWalletType(w.Type);
+  });
+  const result = { Horizon: FORECAST_HORIZON_DAYS, StartDate: Utilities.formatDate(today, tz, 'yyyy-MM-dd'), Wallets: [], Days: [] };
+  if (!liquid.length) return result;
+  const liquidSet = new Set(liquid.map(w => w.Wallet));
+
+  // 1. Occurrence terjadwal di horizon, dikelompokkan per tanggal
+  const occurrences = getScheduledOccurrences_(scheduledData, new Date(today.getTime() + dayMs), horizonEnd, scope)
+    .filter(o => liquidSet.has(o.Wallet));
+  const scheduledKeys = new Set(occurrences.map(o => `${o.Wallet}|${o.Category}|${o.Subcategory}`));
+  const occByDay = {};
+  occurrences.forEach(o => {
+    const iso = Utilities.formatDate(o.Date, tz, 'yyyy-MM-dd');
+    (occByDay[iso] = occByDay[iso] || []).push(o);
+  });
+
+  // 2. Rata-rata harian dari histori (tidak lebih awal dari transaksi pertama)
+  const historyStart = new Date(today.getTime() - FORECAST_HISTORY_DAYS * dayMs);
+  const history = getFilteredTransactions_(allTransactionsData, scope, historyStart, new Date(today.getTime() - 1))
+    .filter(t => liquidSet.has(t.Wallet) && ['income', 'expense'].includes(normStr_(t.Type)));
+  const firstDate = history.reduce((min, t) => (t.Date < min ? t.Date : min), today);
+  const historyDays = Math.max(1, Math.round((today - Math.max(historyStart, firstDate)) / dayMs));
+  const avg = {};
+  liquid.forEach(w => { avg[w.Wallet] = { income: 0, expense: 0 }; });
+  history.forEach(t => {
+    if (scheduledKeys.has(`${t.Wallet}|${t.Category}|${t.Subcategory}`)) return;
+    if (t.Amount >= 0) avg[t.Wallet].income += t.Amount / historyDays;
+    else avg[t.Wallet].expense += -t.Amount / historyDays;
+  });
+
+  // 3. Proyeksi harian
+  const balances = {};
+  const summary = {};
+  liquid.forEach(w => {
+    balances[w.Wallet] = w.Balance || 0;
+    summary[w.Wallet] = {
+      Wallet: w.Wallet, Owner: w.Owner || '', StartBalance: w.Balance || 0,
+      AvgDailyIncome: avg[w.Wallet].income, AvgDailyExpense: avg[w.Wallet].expense,
+      MinBalance: w.Balance || 0, MinDate: result.StartDate, FirstNegativeDate: (w.Balance || 0) < 0 ? result.StartDate : null, EndBalance: 0
+    };
+  });
+  const round2 = v => Math.round(v * 100) / 100;
+  for (let i = 1; i <= FORECAST_HORIZON_DAYS; i++) {
+    const iso = Utilities.formatDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + i), tz, 'yyyy-MM-dd');
+    const scheduled = occByDay[iso] || [];
+    liquid.forEach(w => {
+      const s = summary[w.Wallet];
+      balances[w.Wallet] += s.AvgDailyIncome - s.AvgDailyExpense;
+    });
+    scheduled.forEach(o => { balances[o.Wallet] += o.Amount; });
+    liquid.forEach(w => {
+      const s = summary[w.Wallet];
+      const bal = balances[w.Wallet];
+      if (bal < s.MinBalance) { s.MinBalance = bal; s.MinDate = iso; }
+      if (bal < 0 && !s.FirstNegativeDate) s.FirstNegativeDate = iso;
+    });
+    result.Days.push({
+      Date: iso,
+      Total: round2(liquid.reduce((sum, w) => sum + balances[w.Wallet], 0)),
+      Balances: Object.fromEntries(liquid.map(w => [w.Wallet, round2(balances[w.Wallet])])),
+      Scheduled: scheduled.map(o => ({ Description: o.Description || o.Category, Wallet: o.Wallet, Amount: o.Amount }))
+    });
+  }
+  result.Wallets = liquid.map(w => {
+    const s = summary[w.Wallet];
+    s.EndBalance = balances[w.Wallet];
+    ['AvgDailyIncome', 'AvgDailyExpense', 'MinBalance', 'EndBalance'].forEach(k => { s[k] = round2(s[k]); });
+    return s;
+  });
+  return result;
+}
+
+// #endregion
+
+// #region AUTO CATEGORIZATION
+// =================================================================
+//                     AUTO CATEGORIZATION
+// =================================================================
+
+// Minimal jumlah transaksi historis dengan deskripsi serupa sebelum kategorinya dipakai sebagai saran
+const AUTO_CATEGORIZE_MIN_HISTORY = 2;
+const AUTO_CATEGORIZE_FIELDS = ['Category', 'Subcategory', 'Expense Purpose'];
+
+/**
+ * Mengisi (atau menyarankan) Category, Subcategory dan Expense Purpose yang kosong di sheet Input.
+ * Sumber saran, berurutan:
+ *  1. Sheet opsional `Category Rules`: Description | Wallet | Match | Category | Subcategory | Expense Purpose | Active.
+ *     Description/Wallet berisi pattern (yang kosong diabaikan, keduanya harus cocok); Match seperti sheet Rules
+ *     (contains / exact / word / regex). Baris pertama yang cocok dipakai.
+ *  2. Histori: kombinasi kategori paling sering untuk deskripsi serupa (angka & tanda baca diabaikan,
+ *     fallback 2 kata pertama), minimal AUTO_CATEGORIZE_MIN_HISTORY transaksi.
+ * Hanya sel kosong yang diisi; Subcategory hanya diisi bila Category baris = Category saran. Baris Transfer dilewati.
+ * Script Property AUTO_CATEGORIZE_MODE = 'suggest' hanya mencatat saran tanpa menulis ke Input (default 'fill').
+ * Setiap perubahan / saran dicatat di sheet `Categorization Log` untuk direview.
+ *
+ * @param {Array<number>} [rowNumbers] Nomor baris sheet yang diproses; hanya baris tsb yang dibaca dari sheet
+ *   (histori dari data Input ter-cache). Selain array (mis. event object trigger per jam) = semua baris.
+ * @returns {{scanned: number, filled: number, suggested: number}}
+ */
+function autoCategorizeInput(rowNumbers) {
+  const summary = { scanned: 0, filled: 0, suggested: 0 };
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    console.warn('[AutoCategorize] Run lain masih berjalan, dilewati.');
+    return summary;
+  }
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const suggestOnly = normStr_(props.getProperty('AUTO_CATEGORIZE_MODE')) === 'suggest';
+    const ss = SpreadsheetApp.openById(props.getProperty('MAIN_SHEET_ID'));
+    const inputSheet = ss.getSheetByName(DATA_SHEET);
+    if (!inputSheet) throw new Error(`Sheet '${DATA_SHEET}' tidak ditemukan.`);
+
+    const wanted = Array.isArray(rowNumbers) && rowNumbers.length ? new Set(rowNumbers.map(Number)) : null;
+    const headers = inputSheet.getRange(1, 1, 1, inputSheet.getLastColumn()).getValues()[0] || [];
+    // Baris kandidat: [{ sheetRow, row }]; mode trigger per jam membaca seluruh sheet sekaligus untuk histori
+    let data = null, targets;
+    if (wanted) {
+      const first = Math.max(2, Math.min(...wanted)), last = Math.min(inputSheet.getLastRow(), Math.max(...wanted));
+      const block = last >= first ? inputSheet.getRange(first, 1, last - first + 1, headers.length).getValues() : [];
+      targets = block.map((row, i) => ({ sheetRow: first + i, row })).filter(t => wanted.has(t.sheetRow));
+    } else {
+      data = inputSheet.getDataRange().getValues();
+      targets = data.slice(1).map((row, i) => ({ sheetRow: i + 2, row }));
+    }
+    const idx = {
+      date: ciIndex_(headers, 'Date'), type: ciIndex_(headers, 'Transaction Type'),
+      desc: ciIndex_(headers, 'Description'), wallet: ciIndex_(headers, 'Wallet')
+    };
+    const fieldIdx = {};
+    AUTO_CATEGORIZE_FIELDS.forEach(f => { fieldIdx[f] = ciIndex_(headers, f); });
+    if (fieldIdx.Category === -1) throw new Error(`Sheet '${DATA_SHEET}' butuh kolom Category.`);
+
+    const rules = loadCategoryRules_();
+    const history = buildCategoryHistory_(data || getRawSheetData_(DATA_SHEET, false), idx.desc, fieldIdx);
+    const logSheet = getCategorizationLogSheet_(ss);
+    const alreadySuggested = suggestOnly ? readSuggestedKeys_(logSheet) : new Set();
+    const now = new Date();
+    const logRows = [];
+    const changed = {}; // kolom (0-based) -> { sheetRow: value } yang diisi, ditulis sekaligus di akhir
+
+    for (const { sheetRow, row } of targets) {
+      if (idx.type !== -1 && normStr_(row[idx.type]) === 'transfer') continue;
+      const blanks = AUTO_CATEGORIZE_FIELDS.filter(f => fieldIdx[f] !== -1 && !String(row[fieldIdx[f]] || '').trim());
+      if (!blanks.length) continue;
+      const description = idx.desc !== -1 ? row[idx.desc] : '';
+      const wallet = idx.wallet !== -1 ? row[idx.wallet] : '';
+      if (!String(description || '').trim() && !String(wallet || '').trim()) continue;
+      summary.scanned++;
+
+      const suggestion = suggestCategorization_(description, wallet, rules, history);
+      if (!suggestion) continue;
+      const currentCategory = String(row[fieldIdx.Category] || '').trim();
+      blanks.forEach(field => {
+        const value = suggestion.values[field];
+        if (!value) return;
+        if (field === 'Subcategory' && currentCategory && currentCategory !== suggestion.values.Category) return;
+        if (suggestOnly) {
+          const key = `${sheetRow}|${field}|${value}`;
+          if (alreadySuggested.has(key)) return;
+          alreadySuggested.add(key);
+          summary.suggested++;
+        } else {
+          row[fieldIdx[field]] = value;
+          (changed[fieldIdx[field]] = changed[fieldIdx[field]] || {})[sheetRow] = value;
+          summary.filled++;
+        }
+        logRows.push([now, sheetRow, idx.date !== -1 ? row[idx.date] : '', description, wallet, field, '', value, suggestion.source, suggestOnly ? 'Suggested' : 'Filled']);
+      });
+    }
+
+    // Satu setValues per rentang baris berurutan per kolom (hanya sel yang diisi; sel lain tidak ditimpa)
+    Object.keys(changed).forEach(col => {
+      const rows = Object.keys(changed[col]).map(Number).sort((a, b) => a - b);
+      let start = 0;
+      rows.forEach((sheetRow, i) => {
+        if (i + 1 < rows.length && rows[i + 1] === sheetRow + 1) return;
+        const run = rows.slice(start, i + 1);
+        inputSheet.getRange(run[0], Number(col) + 1, run.length, 1).setValues(run.map(n => [changed[col][n]]));
+        start = i + 1;
+      });
+    });
+    if (logRows.length) {
+      logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, logRows[0].length).setValues(logRows);
+    }
+    if (summary.filled) {
+      try { CacheService.getUserCache().remove(`rawSheetData_${DATA_SHEET}`); } catch (e) { /* ignore */ }
+    }
+    console.log(`[AutoCategorize] scanned=${summary.scanned} filled=${summary.filled} suggested=${summary.suggested}`);
+    return summary;
+  } catch (e) {
+    console.error('autoCategorizeInput error', e.stack || e);
+    throw new Error('Gagal mengkategorikan transaksi: ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Handler installable onEdit: kategorikan baris Input yang baru diedit, hanya bila Description dan Amount
+ * sudah terisi dan Category masih kosong (baris yang sedang diketik / sudah dikategorikan manual dilewati).
+ * @param {Object} e Event object onEdit.
+ */
+function autoCategorizeOnEdit(e) {
+  if (!e || !e.range) return;
+  const sheet = e.range.getSheet();
+  if (sheet.getName() !== DATA_SHEET) return;
+  const first = Math.max(2, e.range.getRow());
+  const last = e.range.getRow() + e.range.getNumRows() - 1;
+  if (last < first) return;
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0] || [];
+  const idxDesc = ciIndex_(headers, 'Description'), idxAmount = ciIndex_(headers, 'Amount'), idxCategory = ciIndex_(headers, 'Category');
+  if (idxDesc === -1 || idxAmount === -1 || idxCategory === -1) return;
+  const filled = v => String(v === null || v === undefined ? '' : v).trim() !== '';
+  const rows = sheet.getRange(first, 1, last - first + 1, headers.length).getValues()
+    .map((row, i) => (filled(row[idxDesc]) && filled(row[idxAmount]) && !filled(row[idxCategory]) ? first + i : null))
+    .filter(Boolean);
+  if (rows.length) autoCategorizeInput(rows);
+}
+
+/**
+ * Memasang trigger onEdit (spreadsheet) dan trigger per jam untuk auto-kategorisasi (jalankan sekali dari editor).
+ * Tidak membuat trigger ganda bila sudah terpasang.
+ */
+function installAutoCategorizeTriggers() {
+  const triggers = ScriptApp.getProjectTriggers();
+  const has = handler => triggers.some(t => t.getHandlerFunction() === handler);
+  const installed = [];
+  if (!has('autoCategorizeOnEdit')) {
+    ScriptApp.newTrigger('autoCategorizeOnEdit')
+      .forSpreadsheet(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID')).onEdit().create();
+    installed.push('onEdit');
+  }
+  if (!has('autoCategorizeInput')) {
+    ScriptApp.newTrigger('autoCategorizeInput').timeBased().everyHours(1).create();
+    installed.push('hourly');
+  }
+  return installed.length ? `Trigger auto-kategori dipasang: ${installed.join(', ')}.` : 'Trigger auto-kategori sudah terpasang.';
+}
+
+/** Baca sheet opsional Category Rules menjadi [{ test(description, wallet), values, source }]. */
+function loadCategoryRules_() {
+  const data = getRawSheetData_(CATEGORY_RULES_SHEET, true, true);
+  if (!data || data.length < 2) return [];
+  const headers = data[0];
+  const idxDesc = ciIndex_(headers, 'Description'), idxWallet = ciIndex_(headers, 'Wallet');
+  const idxMatch = ciIndex_(headers, 'Match'), idxActive = ciIndex_(headers, 'Active');
+  const rules = [];
+  data.slice(1).forEach((row, i) => {
+    if (idxActive !== -1 && row[idxActive] !== '' && !isTruthyFlag_(row[idxActive])) return;
+    const match = idxMatch !== -1 ? row[idxMatch] : '';
+    const conditions = [];
+    [[idxDesc, 0], [idxWallet, 1]].forEach(([col, arg]) => {
+      if (col === -1 || !String(row[col] || '').trim()) return;
+      const fn = compileRulePattern_(row[col], match);
+      if (fn) conditions.push(args => fn(normStr_(args[arg])));
+    });
+    if (!conditions.length) return;
+    const values = {};
+    AUTO_CATEGORIZE_FIELDS.forEach(f => {
+      const c = ciIndex_(headers, f);
+      values[f] = c !== -1 ? String(row[c] || '').trim() : '';
+    });
+    if (!values.Category && !values['Expense Purpose']) return;
+    rules.push({ test: (...args) => conditions.every(fn => fn(args)), values, source: `Rule #${i + 2}` });
+  });
+  return rules;
+}
+
+/** Tanda tangan deskripsi untuk pencocokan histori: huruf kecil, tanpa angka/tanda baca, token >= 2 huruf. */
+function descriptionSignature_(description) {
+  return normStr_(description).replace(/[^a-z]+/g, ' ').split(' ').filter(t => t.length >= 2).join(' ');
+}
+
+/**
+ * Kunci histori dari yang paling spesifik: tanda tangan penuh, lalu 2 kata pertama (deskripsi >= 2 kata).
+ * Satu kata pertama saja terlalu longgar ("bayar", "transfer") sehingga tidak dipakai.
+ */
+function historyKeys_(signature) {
+  if (!signature) return [];
+  const tokens = signature.split(' ');
+  return tokens.length >= 2 ? [signature, 'p2:' + tokens.slice(0, 2).join(' ')] : [signature];
+}
+
+/**
+ * Hitung kombinasi Category/Subcategory/Expense Purpose per kunci histori (lihat historyKeys_)
+ * dari baris Input yang Category-nya sudah terisi.
+ */
+function buildCategoryHistory_(data, idxDesc, fieldIdx) {
+  const counts = {}; // key histori -> { comboKey -> count }
+  if (idxDesc === -1) return counts;
+  const add = (key, combo) => {
+    const bucket = counts[key] || (counts[key] = {});
+    bucket[combo] = (bucket[combo] || 0) + 1;
+  };
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const category = String(row[fieldIdx.Category] || '').trim();
+    if (!category) continue;
+    const combo = JSON.stringify(AUTO_CATEGORIZE_FIELDS.map(f => (fieldIdx[f] !== -1 ? String(row[fieldIdx[f]] || '').trim() : '')));
+    historyKeys_(descriptionSignature_(row[idxDesc])).forEach(key => add(key, combo));
+  }
+  return counts;
+}
+
+/** Saran kategorisasi untuk satu baris: rule lebih dulu, lalu histori. null bila tidak ada. */
+function suggestCategorization_(description, wallet, rules, history) {
+  const rule = rules.find(r => r.test(description, wallet));
+  if (rule) return { values: rule.values, source: rule.source };
+
+  for (const key of historyKeys_(descriptionSignature_(description))) {
+    const bucket = history[key];
+    if (!bucket) continue;
+    const total = Object.values(bucket).reduce((s, n) => s + n, 0);
+    const [combo, count] = Object.entries(bucket).sort((a, b) => b[1] - a[1])[0];
+    if (count < AUTO_CATEGORIZE_MIN_HISTORY) continue;
+    const parts = JSON.parse(combo);
+    const values = {};
+    AUTO_CATEGORIZE_FIELDS.forEach((f, i) => { values[f] = parts[i]; });
+    return { values, source: `History (${count}/${total})` };
+  }
+  return null;
+}
+
+/** Sheet log review; dibuat bila belum ada. */
+function getCategorizationLogSheet_(ss) {
+  let sheet = ss.getSheetByName(CATEGORIZATION_LOG_SHEET);
+  if (!sheet) {
+    sheet = ss.insertSheet(CATEGORIZATION_LOG_SHEET);
+    sheet.appendRow(['Timestamp', 'Row', 'Date', 'Description', 'Wallet', 'Field', 'Previous', 'Value', 'Source', 'Mode']);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/** Kunci Row|Field|Value saran yang sudah pernah dicatat (mode suggest), agar tidak dicatat ulang. */
+function readSuggestedKeys_(logSheet) {
+  const keys = new Set();
+  const data = logSheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const idxRow = ciIndex_(headers, 'Row'), idxField = ciIndex_(headers, 'Field');
+  const idxValue = ciIndex_(headers, 'Value'), idxMode = ciIndex_(headers, 'Mode');
+  data.slice(1).forEach(row => {
+    if (normStr_(row[idxMode]) === 'suggested') keys.add(`${row[idxRow]}|${row[idxField]}|${row[idxValue]}`);
+  });
+  return keys;
+}
+
+// #endregion
+
+// #region DUPLICATE DETECTION
+// =================================================================
+//                     DUPLICATE DETECTION
+// =================================================================
+
+// Selisih tanggal maksimum (hari) dan kemiripan deskripsi minimum (0-1) agar dua transaksi dianggap kandidat duplikat
+const DUPLICATE_WINDOW_DAYS = 2;
+const DUPLICATE_MIN_SIMILARITY = 0.5;
+
+// Memo isi sheet Duplicate Review per eksekusi
+let duplicateReviewsMemo_ = null;
+// Memo hasil excludeConfirmedDuplicates_ (key: referensi array data Input)
+let duplicateExclusionMemo_ = null;
+
+/**
+ * Kunci transaksi Input: nilai kolom `Transaction ID` bila ada, selain itu nomor baris sheet
+ * (konvensi yang sama dengan sheet Splits).
+ */
+function transactionKey_(row, idxTxId, sheetRow) {
+  return idxTxId !== -1 && String(row[idxTxId] || '').trim() ? String(row[idxTxId]).trim() : String(sheetRow);
+}
+
+/** Sidik jari isi baris (tanggal|wallet|nominal|deskripsi) untuk mendeteksi keputusan review yang sudah basi. */
+function transactionFingerprint_(row, headers) {
+  const date = new Date(row[ciIndex_(headers, 'Date')]);
+  const idxDesc = ciIndex_(headers, 'Description');
+  return [
+    isNaN(date.getTime()) ? '' : Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    normStr_(row[ciIndex_(headers, 'Wallet')]),
+    Math.abs(normalizeNumber_(row[ciIndex_(headers, 'Amount')])),
+    idxDesc !== -1 ? normStr_(row[idxDesc]) : ''
+  ].join('|');
+}
+
+/**
+ * Membaca sheet opsional Duplicate Review:
+ * Transaction A | Transaction B | Decision (Not Duplicate / Remove) | Removed | Fingerprint A | Fingerprint B | Reviewed At.
+ * `Removed` = kunci transaksi yang dikeluarkan dari kalkulasi (untuk Decision = Remove).
+ * @param {boolean} [forceRefresh] Baca ulang dari sheet.
+ * @returns {Array<{A: string, B: string, Decision: string, Removed: string, FingerprintA: string, FingerprintB: string}>}
+ */
+function getDuplicateReviews_(forceRefresh) {
+  if (duplicateReviewsMemo_ && !forceRefresh) return duplicateReviewsMemo_;
+  const data = getRawSheetData_(DUPLICATES_SHEET, forceRefresh, true);
+  const reviews = [];
+  if (data && data.length > 1) {
+    const headers = data[0];
+    const col = name => ciIndex_(headers, name);
+    const get = (row, name) => (col(name) !== -1 ? String(row[col(name)] === null || row[col(name)] === undefined ? '' : row[col(name)]).trim() : '');
+    data.slice(1).forEach(row => {
+      const decision = normStr_(get(row, 'Decision'));
+      if (!get(row, 'Transaction A') || !get(row, 'Transaction B')) return;
+      if (decision !== 'remove' && decision !== 'not duplicate') return;
+      reviews.push({
+        A: get(row, 'Transaction A'), B: get(row, 'Transaction B'),
+        Decision: decision === 'remove' ? 'Remove' : 'Not Duplicate',
+        Removed: get(row, 'Removed'),
+        FingerprintA: get(row, 'Fingerprint A'), FingerprintB: get(row, 'Fingerprint B')
+      });
+    });
+  }
+  duplicateReviewsMemo_ = reviews;
+  return reviews;
+}
+
+/** Indeks baris Input per kunci transaksi beserta sidik jarinya: key -> { index, fingerprint }. */
+function indexTransactionKeys_(allData) {
+  const headers = (allData && allData[0]) || [];
+  const idxTxId = ciIndex_(headers, 'Transaction ID');
+  const map = {};
+  for (let i = 1; i < (allData || []).length; i++) {
+    map[transactionKey_(allData[i], idxTxId, i + 1)] = { index: i, fingerprint: transactionFingerprint_(allData[i], headers) };
+  }
+  return map;
+}
+
+/**
+ * Mengembalikan data Input tanpa transaksi yang dikonfirmasi duplikat (Decision = Remove).
+ * Baris tsb dikosongkan (bukan dihapus) agar nomor baris sheet tetap sama untuk Splits, pairing transfer, dll.
+ * Keputusan yang sidik jari barisnya sudah berubah (baris dipindah/diedit) diabaikan.
+ * @param {Array<Array>} allData Data mentah sheet Input (dengan header).
+ * @returns {Array<Array>} Data yang sama bila tidak ada yang dikeluarkan.
+ */
+function excludeConfirmedDuplicates_(allData) {
+  if (duplicateExclusionMemo_ && duplicateExclusionMemo_.data === allData) return duplicateExclusionMemo_.result;
+  const removals = getDuplicateReviews_().filter(r => r.Decision === 'Remove' && r.Removed);
+  let result = allData;
+  if (removals.length && allData && allData.length > 1) {
+    const keys = indexTransactionKeys_(allData);
+    const blank = allData[0].map(() => '');
+    removals.forEach(r => {
+      const entry = keys[r.Removed];
+      const expected = r.Removed === r.A ? r.FingerprintA : r.FingerprintB;
+      if (!entry) return;
+      if (expected && entry.fingerprint !== expected) {
+        console.warn(`[Duplicates] Transaksi '${r.Removed}' sudah berubah sejak direview; tidak dikeluarkan.`);
+        return;
+      }
+      if (result === allData) result = allData.slice();
+      result[entry.index] = blank;
+    });
+  }
+  duplicateExclusionMemo_ = { data: allData, result };
+  return result;
+}
+
+/**
+ * Mencari pasangan transaksi yang kemungkinan tercatat dua kali (mis. tagihan bersama dicatat dua anggota keluarga):
+ * tipe (Income/Expense) & wallet sama, nominal asli sama, selisih tanggal <= DUPLICATE_WINDOW_DAYS dan kemiripan
+ * kata deskripsi >= DUPLICATE_MIN_SIMILARITY. Pasangan yang sudah direview (Not Duplicate / Remove) tidak muncul lagi.
+ * @param {Array<Array>} allTransactionsData Data Input (sudah melalui excludeConfirmedDuplicates_).
+ * @param {object} filters Filter (wallet / walletOwner dihormati).
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @returns {Array<Object>} Maksimal 50 pasangan terbaru: { UniqueID, Wallet, Type, Amount, Currency, Similarity, A, B }.
+ */
+function calculateDuplicateCandidates_(allTransactionsData, filters, baseCurrency) {
+  const headers = (allTransactionsData && allTransactionsData[0]) || [];
+  const idx = {
+    date: ciIndex_(headers, 'Date'), type: ciIndex_(headers, 'Transaction Type'), amount: ciIndex_(headers, 'Amount'),
+    wallet: ciIndex_(headers, 'Wallet'), owner: ciIndex_(headers, 'Wallet Owner'), desc: ciIndex_(headers, 'Description'),
+    category: ciIndex_(headers, 'Category'), currency: ciIndex_(headers, 'Currency'), txId: ciIndex_(headers, 'Transaction ID')
+  };
+  if (idx.date === -1 || idx.amount === -1 || idx.wallet === -1) return [];
+  const fx = getFxConverter_(baseCurrency);
+  const reviewed = new Set(getDuplicateReviews_().map(r => [r.A, r.B].sort().join('|')));
+
+  const groups = {};
+  for (let i = 1; i < allTransactionsData.length; i++) {
+    const row = allTransactionsData[i];
+    const type = normStr_(row[idx.type]);
+    if (type !== 'income' && type !== 'expense') continue;
+    const date = new Date(row[idx.date]);
+    const amount = Math.abs(normalizeNumber_(row[idx.amount]));
+    if (isNaN(date.getTime()) || !amount) continue;
+    const currency = fx.currencyOf(idx.currency !== -1 ? row[idx.currency] : '', row[idx.wallet], row[idx.amount]);
+    const tx = {
+      Key: transactionKey_(row, idx.txId, i + 1), Row: i + 1, Date: date, Type: row[idx.type], Wallet: row[idx.wallet],
+      Owner: idx.owner !== -1 ? row[idx.owner] : '', Description: idx.desc !== -1 ? (row[idx.desc] || '') : '',
+      Category: idx.category !== -1 ? row[idx.category] : '', Currency: currency, NativeAmount: amount,
+      Tokens: new Set(descriptionSignature_(idx.desc !== -1 ? row[idx.desc] : '').split(' ').filter(Boolean))
+    };
+    const groupKey = [type, normStr_(tx.Wallet), currency, amount.toFixed(2)].join('|');
+    (groups[groupKey] = groups[groupKey] || []).push(tx);
+  }
+
+  const similarity = (a, b) => {
+    if (!a.Tokens.size || !b.Tokens.size) return a.Tokens.size === b.Tokens.size ? 1 : 0.5;
+    let common = 0;
+    a.Tokens.forEach(t => { if (b.Tokens.has(t)) common++; });
+    return common / (a.Tokens.size + b.Tokens.size - common);
+  };
+  const view = t => ({ Key: t.Key, Row: t.Row, DisplayDate: formatDateForDisplay_(t.Date), Owner: t.Owner, Description: t.Description, Category: t.Category });
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const out = [];
+  Object.values(groups).forEach(list => {
+    if (list.length < 2) return;
+    list.sort((a, b) => a.Date - b.Date || a.Row - b.Row);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length && (list[j].Date - list[i].Date) / dayMs <= DUPLICATE_WINDOW_DAYS; j++) {
+        const a = list[i], b = list[j];
+        if (reviewed.has([a.Key, b.Key].sort().join('|'))) continue;
+        if (filters.wallet && a.Wallet !== filters.wallet) continue;
+        if (filters.walletOwner && a.Owner !== filters.walletOwner && b.Owner !== filters.walletOwner) continue;
+        const score = similarity(a, b);
+        if (score < DUPLICATE_MIN_SIMILARITY) continue;
+        out.push({
+          UniqueID: `dup-${a.Key}-${b.Key}`,
+          Wallet: a.Wallet,
+          Type: a.Type,
+          Amount: fx.convert(a.NativeAmount, a.Currency, a.Date),
+          Currency: a.Currency,
+          Similarity: parseFloat(score.toFixed(2)),
+          LatestDate: b.Date,
+          A: view(a),
+          B: view(b)
+        });
+      }
+    }
+  });
+  return out
+    .sort((x, y) => y.LatestDate - x.LatestDate)
+    .slice(0, 50)
+    .map(({ LatestDate, ...rest }) => rest);
+}
+
+/**
+ * Menyimpan keputusan review satu pasangan kandidat duplikat ke sheet Duplicate Review (dibuat otomatis).
+ * Decision `remove` mengeluarkan transaksi `removeKey` (default: B) dari semua kalkulasi getDashboardData
+ * tanpa menghapus baris Input; `not_duplicate` menyembunyikan pasangan dari daftar kandidat.
+ * @param {object} review { keyA, keyB, decision: 'not_duplicate' | 'remove', removeKey }
+ * @returns {{ok: boolean}}
+ */
+function reviewDuplicate(review) {
+  try {
+    const r = review || {};
+    const keyA = String(r.keyA || '').trim(), keyB = String(r.keyB || '').trim();
+    const decision = normStr_(r.decision);
+    if (!keyA || !keyB || keyA === keyB) throw new Error('Dua transaksi berbeda wajib dipilih.');
+    if (decision !== 'remove' && decision !== 'not_duplicate') throw new Error(`Keputusan '${r.decision}' tidak dikenal.`);
+    const removeKey = decision === 'remove' ? String(r.removeKey || keyB).trim() : '';
+    if (removeKey && removeKey !== keyA && removeKey !== keyB) throw new Error('Transaksi yang dihapus harus salah satu dari pasangan.');
+
+    const keys = indexTransactionKeys_(getRawSheetData_(DATA_SHEET, true));
+    if (!keys[keyA] || !keys[keyB]) throw new Error('Transaksi tidak ditemukan di sheet Input; muat ulang dashboard.');
+
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    let sheet = ss.getSheetByName(DUPLICATES_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(DUPLICATES_SHEET);
+      sheet.appendRow(['Transaction A', 'Transaction B', 'Decision', 'Removed', 'Fingerprint A', 'Fingerprint B', 'Reviewed At']);
+      sheet.setFrozenRows(1);
+    }
+    sheet.appendRow([keyA, keyB, decision === 'remove' ? 'Remove' : 'Not Duplicate', removeKey, keys[keyA].fingerprint, keys[keyB].fingerprint, new Date()]);
+    try { CacheService.getUserCache().remove(`rawSheetData_${DUPLICATES_SHEET}`); } catch (e) { /* ignore */ }
+    return { ok: true };
+  } catch (e) {
+    console.error('reviewDuplicate error', e.stack || e);
+    throw new Error('Gagal menyimpan review duplikat: ' + e.message);
+  }
+}
+
+// #endregion
+
+// #region ANOMALY DETECTION
+// =================================================================
+//                     ANOMALY DETECTION
+// =================================================================
+
+// Histori pembanding (bulan sebelum periode), minimal sampel per kelompok, dan ambang z-score
+const ANOMALY_HISTORY_MONTHS = 12;
+const ANOMALY_MIN_SAMPLES = 5;
+const ANOMALY_Z_THRESHOLD = 3;
+const ANOMALY_MAX_RESULTS = 20;
+
+/**
+ * Mendeteksi transaksi tidak biasa pada periode terpilih dibanding histori ANOMALY_HISTORY_MONTHS bulan sebelumnya:
+ *  - `Amount Outlier`: expense >= ANOMALY_Z_THRESHOLD standar deviasi di atas rata-rata Category/Subcategory-nya.
+ *  - `New Purpose`: expense pertama untuk Expense Purpose yang belum pernah muncul di histori.
+ *  - `Wallet Spike`: total pengeluaran harian satu wallet >= ANOMALY_Z_THRESHOLD standar deviasi di atas rata-rata hariannya.
+ * Kelompok dengan sampel histori < ANOMALY_MIN_SAMPLES dilewati. Transfer internal tidak dihitung.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {Array<Object>} transactions Transaksi periode ini (hasil getFilteredTransactions_).
+ * @param {Date} startDate Awal periode; histori diambil sebelum tanggal ini.
+ * @param {object} filters Filter yang sama dengan periode ini.
+ * @returns {Array<Object>} { UniqueID, Kind, DisplayDate, Wallet, Owner, Category, Subcategory, Purpose, Description,
+ *   Amount, Expected, Score, Rows, Links: [{Row, Url}] }, skor tertinggi dulu.
+ */
+function calculateTransactionAnomalies_(allTransactionsData, transactions, startDate, filters) {
+  if (!startDate || isNaN(startDate.getTime()) || startDate.getFullYear() <= 1970) return [];
+  const historyStart = new Date(startDate.getFullYear(), startDate.getMonth() - ANOMALY_HISTORY_MONTHS, startDate.getDate());
+  const isSpend = t => t.Amount < 0 && !t.IsInternalTransfer && normStr_(t.Type) !== 'transfer';
+  const history = getFilteredTransactions_(allTransactionsData, filters, historyStart, new Date(startDate.getTime() - 1)).filter(isSpend);
+  const current = (transactions || []).filter(isSpend);
+  if (!history.length || !current.length) return [];
+
+  const stats = values => {
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const variance = values.reduce((s, v) => s + (v - mean) * (v - mean), 0) / values.length;
+    // Lantai 10% dari rata-rata agar kelompok yang nominalnya selalu sama tidak menandai selisih kecil
+    return { mean, std: Math.max(Math.sqrt(variance), mean * 0.1) };
+  };
+  const dayKey = d => Utilities.formatDate(new Date(d), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  const rowUrl = getInputRowUrlBuilder_();
+  const findings = [];
+  const push = (kind, t, extra) => findings.push({
+    UniqueID: `anomaly-${kind.replace(/\s+/g, '-').toLowerCase()}-${t.Row}`,
+    Kind: kind,
+    DisplayDate: formatDateForDisplay_(t.Date),
+    Wallet: t.Wallet, Owner: t.Owner, Category: t.Category, Subcategory: t.Subcategory, Purpose: t.Purpose,
+    Description: t.Description,
+    Amount: -t.Amount,
+    Rows: [t.Row],
+    ...extra
+  });
+
+  // 1. Nominal jauh di atas kebiasaan Category/Subcategory
+  const bySubcat = {};
+  history.forEach(t => {
+    const key = `${t.Category}|${t.Subcategory}`;
+    (bySubcat[key] = bySubcat[key] || []).push(-t.Amount);
+  });
+  const subcatStats = {};
+  Object.keys(bySubcat).forEach(k => { if (bySubcat[k].length >= ANOMALY_MIN_SAMPLES) subcatStats[k] = stats(bySubcat[k]); });
+  const outlierRows = new Set();
+  current.forEach(t => {
+    const s = subcatStats[`${t.Category}|${t.Subcategory}`];
+    if (!s) return;
+    const z = (-t.Amount - s.mean) / s.std;
+    if (z < ANOMALY_Z_THRESHOLD) return;
+    outlierRows.add(t.Row);
+    push('Amount Outlier', t, { Expected: s.mean, Score: parseFloat(z.toFixed(1)) });
+  });
+
+  // 2. Pengeluaran pertama untuk Expense Purpose baru
+  const knownPurposes = new Set(history.map(t => normStr_(t.Purpose)).filter(Boolean));
+  const seenNew = new Set();
+  current.slice().sort((a, b) => a.Date - b.Date).forEach(t => {
+    const p = normStr_(t.Purpose);
+    if (!p || knownPurposes.has(p) || seenNew.has(p)) return;
+    seenNew.add(p);
+    push('New Purpose', t, { Expected: 0, Score: ANOMALY_Z_THRESHOLD });
+  });
+
+  // 3. Lonjakan pengeluaran harian per wallet
+  const dailyByWallet = list => {
+    const map = {}; // wallet -> day -> { total, txs }
+    list.forEach(t => {
+      const w = t.Wallet || '';
+      const day = dayKey(t.Date);
+      const walletDays = map[w] || (map[w] = {});
+      const bucket = walletDays[day] || (walletDays[day] = { total: 0, txs: [] });
+      bucket.total += -t.Amount;
+      bucket.txs.push(t);
+    });
+    return map;
+  };
+  const histDaily = dailyByWallet(history);
+  const currDaily = dailyByWallet(current);
+  Object.keys(currDaily).forEach(w => {
+    const days = Object.values(histDaily[w] || {}).map(d => d.total);
+    if (days.length < ANOMALY_MIN_SAMPLES) return;
+    const s = stats(days);
+    Object.values(currDaily[w]).forEach(d => {
+      const z = (d.total - s.mean) / s.std;
+      // Lonjakan yang seluruhnya sudah ditandai Amount Outlier tidak dilaporkan dua kali
+      if (z < ANOMALY_Z_THRESHOLD || d.txs.every(t => outlierRows.has(t.Row))) return;
+      const biggest = d.txs.reduce((a, b) => (b.Amount < a.Amount ? b : a), d.txs[0]);
+      push('Wallet Spike', biggest, {
+        UniqueID: `anomaly-wallet-spike-${w}-${dayKey(biggest.Date)}`,
+        Description: d.txs.length > 1 ? `${d.txs.length} transaksi` : biggest.Description,
+        Amount: d.total,
+        Expected: s.mean,
+        Score: parseFloat(z.toFixed(1)),
+        Rows: Array.from(new Set(d.txs.map(t => t.Row)))
+      });
+    });
+  });
+
+  return findings
+    .sort((a, b) => b.Score - a.Score || b.Amount - a.Amount)
+    .slice(0, ANOMALY_MAX_RESULTS)
+    .map(f => ({ ...f, Links: f.Rows.map(row => ({ Row: row, Url: rowUrl(row) })) }));
+}
+
+/**
+ * Pembuat URL ke satu baris sheet Input (membuka spreadsheet dengan baris tsb terpilih).
+ * Mengembalikan builder yang menghasilkan '' bila spreadsheet tidak bisa dibuka.
+ */
+function getInputRowUrlBuilder_() {
+  try {
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    const sheet = ss.getSheetByName(DATA_SHEET);
+    const base = `${ss.getUrl().replace(/#.*$/, '')}#gid=${sheet.getSheetId()}`;
+    return row => `${base}&range=A${row}`;
+  } catch (e) {
+    console.warn('[Anomalies] URL sheet Input tidak tersedia:', e && e.message);
+    return () => '';
+  }
+}
+
+// #endregion
+
+// #region SUBSCRIPTION DISCOVERY
+// =================================================================
+//                     SUBSCRIPTION DISCOVERY
+// =================================================================
+
+// Frekuensi yang dikenali: jarak rata-rata (hari), toleransi (hari), occurrence minimum, kali per tahun.
+// `name` memakai preset parseFrequency_ agar bisa langsung dipakai di kolom Frequency ScheduledTransactions.
+const SUBSCRIPTION_FREQUENCIES = [
+  { name: 'weekly', days: 7, tolerance: 2, minCount: 4, perYear: 52 },
+  { name: 'biweekly', days: 14, tolerance: 3, minCount: 3, perYear: 26 },
+  { name: 'monthly', days: 30.44, tolerance: 4, minCount: 3, perYear: 12 },
+  { name: 'quarterly', days: 91.31, tolerance: 10, minCount: 3, perYear: 4 },
+  { name: 'yearly', days: 365.25, tolerance: 15, minCount: 2, perYear: 1 }
+];
+// Nominal tiap charge maksimal menyimpang sebesar ini (relatif) dari median grupnya
+const SUBSCRIPTION_AMOUNT_TOLERANCE = 0.25;
+// Porsi minimal jarak antar charge yang harus cocok dengan frekuensi
+const SUBSCRIPTION_MIN_REGULARITY = 0.75;
+
+/**
+ * Mendeteksi tagihan berulang (langganan) dari expense Input: dikelompokkan per Wallet + deskripsi (tanpa angka &
+ * tanda baca, lihat descriptionSignature_), lalu dicek jarak antar charge (SUBSCRIPTION_FREQUENCIES) dan kemiripan nominal.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {Array<Array>} scheduledData Data mentah ScheduledTransactions (untuk menandai yang sudah terjadwal).
+ * @param {object} filters walletOwner / wallet dihormati.
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @returns {Array<Object>} { UniqueID, Description, Wallet, Owner, Category, Subcategory, Purpose, Frequency, Occurrences,
+ *   LastCharge, NextExpected, RawNextExpected, AnchorDay (bulanan/tahunan), Amount, NativeAmount, Currency, AnnualizedCost, PreviousAmount, PriceIncrease,
+ *   PriceIncreasePct, Status (Active/Stopped), Scheduled, Rows }; Active & termahal dulu.
+ */
+function calculateSubscriptions_(allTransactionsData, scheduledData, filters, baseCurrency) {
+  const headers = (allTransactionsData && allTransactionsData[0]) || [];
+  const col = name => ciIndex_(headers, name);
+  const idx = {
+    date: col('Date'), type: col('Transaction Type'), amount: col('Amount'), wallet: col('Wallet'), owner: col('Wallet Owner'),
+    desc: col('Description'), category: col('Category'), subcategory: col('Subcategory'), purpose: col('Expense Purpose'), currency: col('Currency')
+  };
+  if (idx.date === -1 || idx.amount === -1 || idx.desc === -1) return [];
+  const f = filters || {};
+  const fx = getFxConverter_(baseCurrency);
+  const val = (row, i) => (i !== -1 ? row[i] : '');
+
+  const groups = {};
+  for (let i = 1; i < allTransactionsData.length; i++) {
+    const row = allTransactionsData[i];
+    if (normStr_(val(row, idx.type)) !== 'expense') continue;
+    if (f.wallet && val(row, idx.wallet) !== f.wallet) continue;
+    if (f.walletOwner && val(row, idx.owner) !== f.walletOwner) continue;
+    const sig = descriptionSignature_(row[idx.desc]);
+    const date = new Date(row[idx.date]);
+    const native = Math.abs(normalizeNumber_(row[idx.amount]));
+    if (!sig || isNaN(date.getTime()) || !native) continue;
+    const key = `${normStr_(val(row, idx.wallet))}|${sig}`;
+    (groups[key] = groups[key] || []).push({
+      Row: i + 1, Date: date, Native: native, Signature: sig,
+      Currency: fx.currencyOf(val(row, idx.currency), val(row, idx.wallet), row[idx.amount]),
+      Description: row[idx.desc], Wallet: val(row, idx.wallet), Owner: val(row, idx.owner),
+      Category: val(row, idx.category), Subcategory: val(row, idx.subcategory), Purpose: val(row, idx.purpose)
+    });
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const today = new Date(); today.setHours(0, 0, 0, 0);
+  const median = values => {
+    const s = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+  };
+  const scheduled = scheduledSubscriptionKeys_(scheduledData);
+  const out = [];
+
+  Object.keys(groups).forEach(key => {
+    // Satu charge per hari (split / input ganda di hari yang sama tidak menambah occurrence)
+    const charges = [];
+    groups[key].sort((a, b) => a.Date - b.Date).forEach(c => {
+      const prev = charges[charges.length - 1];
+      if (prev && prev.Date.getTime() === c.Date.getTime()) return;
+      charges.push(c);
+    });
+    if (charges.length < 2) return;
+
+    const gaps = charges.slice(1).map((c, i) => (c.Date - charges[i].Date) / dayMs);
+    const typicalGap = median(gaps);
+    const freq = SUBSCRIPTION_FREQUENCIES.find(fq => Math.abs(typicalGap - fq.days) <= fq.tolerance);
+    if (!freq || charges.length < freq.minCount) return;
+    const regular = gaps.filter(g => Math.abs(g - freq.days) <= freq.tolerance).length;
+    if (regular / gaps.length < SUBSCRIPTION_MIN_REGULARITY) return;
+    const typicalAmount = median(charges.map(c => c.Native));
+    if (charges.some(c => Math.abs(c.Native - typicalAmount) > SUBSCRIPTION_AMOUNT_TOLERANCE * typicalAmount)) return;
+
+    const last = charges[charges.length - 1];
+    const previous = charges.slice(0, -1).reverse().find(c => Math.abs(c.Native - last.Native) >= 0.005);
+    const toBase = c => fx.convert(c.Native, c.Currency, c.Date);
+    const amount = toBase(last);
+    const previousAmount = previous ? toBase(previous) : amount;
+    const parsedFreq = parseFrequency_(freq.name);
+    const anchorDay = parsedFreq.unit === 'month' || parsedFreq.unit === 'year' ? subscriptionAnchorDay_(charges) : '';
+    const next = advanceDueDate_(last.Date, parsedFreq, anchorDay);
+    const active = (today - last.Date) / dayMs <= freq.days + 2 * freq.tolerance;
+
+    out.push({
+      UniqueID: `sub-${key}`,
+      Description: last.Description,
+      Wallet: last.Wallet,
+      Owner: last.Owner,
+      Category: last.Category,
+      Subcategory: last.Subcategory,
+      Purpose: last.Purpose,
+      Frequency: freq.name,
+      Occurrences: charges.length,
+      FirstCharge: formatDateForDisplay_(charges[0].Date),
+      LastCharge: formatDateForDisplay_(last.Date),
+      RawLastCharge: Utilities.formatDate(last.Date, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+      NextExpected: formatDateForDisplay_(next),
+      RawNextExpected: Utilities.formatDate(next, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+      AnchorDay: anchorDay,
+      Amount: amount,
+      NativeAmount: last.Native,
+      Currency: last.Currency,
+      AnnualizedCost: amount * freq.perYear,
+      PreviousAmount: previousAmount,
+      PriceIncrease: amount > previousAmount ? amount - previousAmount : 0,
+      PriceIncreasePct: amount > previousAmount && previousAmount > 0 ? parseFloat(((amount - previousAmount) / previousAmount * 100).toFixed(1)) : 0,
+      Status: active ? 'Active' : 'Stopped',
+      Scheduled: scheduled.has(key),
+      Rows: charges.map(c => c.Row)
+    });
+  });
+
+  return out.sort((a, b) => (a.Status === b.Status ? 0 : a.Status === 'Active' ? -1 : 1) || b.AnnualizedCost - a.AnnualizedCost);
+}
+
+/**
+ * Tanggal asli tagihan bulanan/tahunan dari riwayat charge: tanggal yang paling sering muncul (seri -> yang terbesar).
+ * Charge yang terpotong ke akhir bulan pendek (mis. 28 Feb untuk tagihan tanggal 31) kalah suara dari tanggal aslinya.
+ * @param {Array<{Date: Date}>} charges Charge satu langganan.
+ * @returns {number} 1-31.
+ */
+function subscriptionAnchorDay_(charges) {
+  const counts = {};
+  charges.forEach(c => { counts[c.Date.getDate()] = (counts[c.Date.getDate()] || 0) + 1; });
+  return Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a] || b - a)[0];
+}
+
+/** Kunci Wallet|deskripsi untuk baris ScheduledTransactions yang belum Completed (format sama dengan grup langganan). */
+function scheduledSubscriptionKeys_(scheduledData) {
+  const keys = new Set();
+  if (!scheduledData || scheduledData.length < 2) return keys;
+  const headers = scheduledData[0];
+  const idxStatus = ciIndex_(headers, 'Status'), idxWallet = ciIndex_(headers, 'Wallet'), idxDesc = ciIndex_(headers, 'Description');
+  if (idxDesc === -1) return keys;
+  scheduledData.slice(1).forEach(row => {
+    if (idxStatus !== -1 && normStr_(row[idxStatus]) === 'completed') return;
+    const sig = descriptionSignature_(row[idxDesc]);
+    if (sig) keys.add(`${normStr_(idxWallet !== -1 ? row[idxWallet] : '')}|${sig}`);
+  });
+  return keys;
+}
+
+/**
+ * Menambahkan langganan yang terdeteksi ke ScheduledTransactions (Status Active) agar tercatat otomatis
+ * oleh postDueScheduledTransactions. NextDueDate dimajukan melewati hari ini dan LastPosted = charge terakhir,
+ * sehingga charge yang sudah ada di Input tidak diposting ulang. Tanggal asli dari riwayat charge (AnchorDay)
+ * disimpan di kolom Anchor Day agar jadwal tidak bergeser setelah bulan pendek.
+ * Kolom Frequency / LastPosted / Anchor Day dibuat bila belum ada.
+ * @param {object} sub Item dari `subscriptions` (Description, Wallet, Owner, Category, Subcategory, Purpose,
+ *   NativeAmount, Currency, Frequency, RawLastCharge, RawNextExpected, AnchorDay).
+ * @returns {{ok: boolean, nextDueDate: string}}
+ */
+function promoteSubscriptionToSchedule(sub) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) throw new Error('Jadwal sedang diproses; coba lagi sebentar lagi.');
+  try {
+    const s = sub || {};
+    const freq = parseFrequency_(s.Frequency);
+    const amount = Math.abs(normalizeNumber_(s.NativeAmount));
+    const sig = descriptionSignature_(s.Description);
+    if (!sig || !freq || !amount) throw new Error('Description, Frequency dan nominal langganan wajib ada.');
+    // Tanggal 'yyyy-MM-dd' dari payload dibaca sebagai tanggal lokal (bukan UTC)
+    const parseYmd = v => {
+      const m = String(v || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+      return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+    };
+    let due = parseYmd(s.RawNextExpected);
+    if (!due) throw new Error('Tanggal charge berikutnya tidak valid.');
+
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    const sheet = ss.getSheetByName(SCHEDULED_SHEET_NAME);
+    if (!sheet) throw new Error(`Sheet '${SCHEDULED_SHEET_NAME}' tidak ditemukan.`);
+    const data = sheet.getDataRange().getValues();
+    if (scheduledSubscriptionKeys_(data).has(`${normStr_(s.Wallet)}|${sig}`)) throw new Error('Langganan ini sudah ada di ScheduledTransactions.');
+
+    const headers = (data[0] || []).slice();
+    ['Frequency', 'LastPosted', SCHEDULED_ANCHOR_HEADER].forEach(h => {
+      if (ciIndex_(headers, h) !== -1) return;
+      headers.push(h);
+      sheet.getRange(1, headers.length).setValue(h);
+    });
+
+    const today = new Date(); today.setHours(23, 59, 59, 999);
+    const monthly = freq.unit === 'month' || freq.unit === 'year';
+    const anchorDay = scheduleAnchorDay_(s.AnchorDay, due);
+    let guard = 0;
+    while (due <= today && guard++ < SCHEDULED_MAX_CATCHUP) due = advanceDueDate_(due, freq, anchorDay);
+
+    const values = {
+      'status': 'Active', 'nextduedate': due, 'frequency': s.Frequency, 'lastposted': parseYmd(s.RawLastCharge) || '',
+      'transaction type': 'Expense', 'description': s.Description, 'amount': amount, 'currency': s.Currency || '',
+      'wallet': s.Wallet || '', 'wallet owner': s.Owner || '', 'category': s.Category || '', 'subcategory': s.Subcategory || '',
+      'expense purpose': s.Purpose || '', [normStr_(SCHEDULED_ANCHOR_HEADER)]: monthly ? anchorDay : ''
+    };
+    sheet.appendRow(headers.map(h => (values[normStr_(h)] !== undefined ? values[normStr_(h)] : '')));
+    try { CacheService.getUserCache().remove(`rawSheetData_${SCHEDULED_SHEET_NAME}`); } catch (e) { /* ignore */ }
+    return { ok: true, nextDueDate: Utilities.formatDate(due, Session.getScriptTimeZone(), 'yyyy-MM-dd') };
+  } catch (e) {
+    console.error('promoteSubscriptionToSchedule error', e.stack || e);
+    throw new Error('Gagal menambahkan ke jadwal: ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// #endregion
+
+// #region TAX REPORT
+// =================================================================
+//                     TAX REPORT (SPT TAHUNAN)
+// =================================================================
+
+/**
+ * Parse nilai kolom `Tax Mapping` di Category Setup.
+ * Format: "Income: <jenis penghasilan>", "Deductible: <pengurang>" atau "Exclude"
+ * (alias: Penghasilan / Pengurang / Abaikan). Tanpa nama item, item = Category.
+ * @returns {{section: string, item: string}|null} section 'income' | 'deductible' | 'exclude'.
+ */
+function parseTaxMapping_(value) {
+  const raw = String(value === null || value === undefined ? '' : value).trim();
+  if (!raw) return null;
+  const m = raw.match(/^([^:]+)(?::\s*(.*))?$/);
+  const head = normStr_(m[1]);
+  const item = (m[2] || '').trim();
+  if (head === 'income' || head === 'penghasilan') return { section: 'income', item };
+  if (head === 'deductible' || head === 'pengurang') return { section: 'deductible', item };
+  if (head === 'exclude' || head === 'abaikan') return { section: 'exclude', item: '' };
+  console.warn(`[Tax] Tax Mapping '${raw}' tidak dikenal; dilewati.`);
+  return null;
+}
+
+/**
+ * Menyusun laporan tahunan untuk persiapan SPT satu tahun kalender:
+ *  - Income dikelompokkan per jenis penghasilan (Tax Mapping "Income: ..."); income tanpa mapping masuk 'Unmapped',
+ *    kecuali pencairan pinjaman (baris yang dikenali makeLiabilityRowReader_) yang bukan penghasilan.
+ *  - Pengurang (Tax Mapping "Deductible: ...") dari expense.
+ *  - Posisi harta & utang per 31 Desember dari calculateNetWorthSnapshot_.
+ * Mapping dibaca dari kolom `Tax Mapping` di Category Setup per Category + Subcategory (tanpa membedakan huruf besar/kecil);
+ * baris dengan Subcategory kosong berlaku untuk seluruh Category. Transfer internal tidak dihitung.
+ * @param {number} year Tahun kalender.
+ * @param {object} [filters] walletOwner / baseCurrency dihormati.
+ * @returns {Object} { Year, Owner, BaseCurrency, Income, IncomeTotal, Deductibles, DeductibleTotal, Assets, Liabilities,
+ *   TotalAssets, TotalLiabilities, NetWorth, Details }
+ */
+function calculateTaxReport_(year, filters) {
+  const f = filters || {};
+  const y = Number(year);
+  if (!y || y < 1970 || y > 9999) throw new Error(`Tahun '${year}' tidak valid.`);
+  const baseCurrency = resolveBaseCurrency_(f);
+  const fx = getFxConverter_(baseCurrency);
+  const startDate = new Date(y, 0, 1);
+  const endDate = new Date(y, 11, 31, 23, 59, 59, 999);
+  const allTransactionsData = excludeConfirmedDuplicates_(getRawSheetData_(DATA_SHEET, true));
+  const readLiability = makeLiabilityRowReader_(allTransactionsData[0] || [], fx);
+
+  // Mapping Category|Subcategory -> { section, item }
+  const mapping = {};
+  const categoryData = getRawSheetData_(CATEGORY_SHEET, false) || [];
+  const catHeaders = categoryData[0] || [];
+  const idxTax = ciIndex_(catHeaders, 'Tax Mapping');
+  if (idxTax === -1) console.warn(`[Tax] Kolom 'Tax Mapping' belum ada di ${CATEGORY_SHEET}; semua income masuk 'Unmapped'.`);
+  categoryData.slice(1).forEach(row => {
+    const parsed = idxTax !== -1 ? parseTaxMapping_(row[idxTax]) : null;
+    if (!parsed) return;
+    const category = String(row[ciIndex_(catHeaders, 'Category')] || '').trim();
+    const subcategory = row[ciIndex_(catHeaders, 'Subcategory')];
+    if (category) mapping[`${normStr_(category)}|${normStr_(subcategory)}`] = { section: parsed.section, item: parsed.item || category };
+  });
+  const lookup = t => mapping[`${normStr_(t.Category)}|${normStr_(t.Subcategory)}`] || mapping[`${normStr_(t.Category)}|`] || null;
+
+  const income = {}, deductibles = {};
+  const details = [];
+  const add = (bucket, key, amount) => {
+    const g = bucket[key] || (bucket[key] = { Total: 0, Count: 0 });
+    g.Total += amount;
+    g.Count++;
+  };
+  getFilteredTransactions_(allTransactionsData, { walletOwner: f.walletOwner, baseCurrency }, startDate, endDate).forEach(t => {
+    if (t.IsInternalTransfer || normStr_(t.Type) === 'transfer') return;
+    const map = lookup(t);
+    let section, group, amount;
+    if (map && map.section === 'exclude') return;
+    if (map && map.section === 'income') { section = 'Income'; group = map.item; amount = t.Amount; }
+    else if (map && map.section === 'deductible') { section = 'Deductible'; group = map.item; amount = -t.Amount; }
+    else if (t.Amount > 0) {
+      if (readLiability(allTransactionsData[t.Row - 1] || [])) return; // pencairan pinjaman bukan penghasilan
+      section = 'Income'; group = 'Unmapped'; amount = t.Amount;
+    } else return;
+    add(section === 'Income' ? income : deductibles, group, amount);
+    details.push({
+      Section: section, Group: group, Date: Utilities.formatDate(t.Date, Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+      Description: t.Description, Category: t.Category, Subcategory: t.Subcategory, Wallet: t.Wallet, Owner: t.Owner, Amount: amount
+    });
+  });
+
+  const toRows = (bucket, label) => Object.keys(bucket)
+    .map(k => ({ [label]: k, Total: bucket[k].Total, Count: bucket[k].Count }))
+    .sort((a, b) => b.Total - a.Total);
+  const snapshot = calculateNetWorthSnapshot_(allTransactionsData, endDate, f.walletOwner || null, baseCurrency);
+  const incomeRows = toRows(income, 'SourceType');
+  const deductibleRows = toRows(deductibles, 'Item');
+  return {
+    Year: y,
+    Owner: f.walletOwner || '',
+    BaseCurrency: baseCurrency,
+    Income: incomeRows,
+    IncomeTotal: incomeRows.reduce((s, r) => s + r.Total, 0),
+    Deductibles: deductibleRows,
+    DeductibleTotal: deductibleRows.reduce((s, r) => s + r.Total, 0),
+    Assets: snapshot.wallets.filter(w => Math.abs(w.Balance) >= 0.005).sort((a, b) => b.Balance - a.Balance),
+    Liabilities: snapshot.liabilityItems,
+    TotalAssets: snapshot.assets,
+    TotalLiabilities: snapshot.liabilities,
+    NetWorth: snapshot.netWorth,
+    Details: details.sort((a, b) => a.Section.localeCompare(b.Section) || a.Group.localeCompare(b.Group) || a.Date.localeCompare(b.Date))
+  };
 }
 
+// #endregion
 
- /**
- * Memformat objek tanggal untuk ditampilkan di UI.
- * @param {Date} date Objek tanggal.
- * @returns {string} Tanggal berformat 'd MMM yyyy'.
+// #region GOAL FUNDING
+// =================================================================
+//                     GOAL FUNDING
+// =================================================================
+
+/** Memecah isi sel `Linked Wallets` ("BCA Tabungan; Bibit") menjadi daftar nama wallet. */
+function parseLinkedWallets_(value) {
+  return String(value || '').split(/[;,\n]/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Baris sheet opsional Goal Allocations: Date | Goal | Amount | Currency | Transaction ID | Note.
+ * Satu transaksi tabungan boleh dibagi ke beberapa goal (beberapa baris dengan Transaction ID sama); Amount negatif = penarikan.
+ * Amount dikonversi dari Currency baris (kosong / kolom belum ada: base currency Script Property) ke `baseCurrency`
+ * dengan kurs tanggal alokasi, jadi alokasi yang dibuat dengan Base Currency berbeda tetap bisa dijumlah.
+ * @param {string} [baseCurrency] Mata uang hasil (default: resolveBaseCurrency_).
+ * @returns {Array<{Date: Date, Goal: string, Amount: number, Currency: string, Key: string}>}
  */
-function formatDateForDisplay_(date) {
-  if (!date || !(date instanceof Date)) return 'N/A';
-  try {
-    return Utilities.formatDate(date, "GMT+7", "d MMM yyyy");
-  } catch (e) {
-    return 'Invalid Date';
+function getGoalAllocations_(baseCurrency) {
+  const data = getRawSheetData_(GOAL_ALLOCATIONS_SHEET, false, true);
+  if (!data || data.length < 2) return [];
+  const headers = data[0];
+  const idxDate = ciIndex_(headers, 'Date'), idxGoal = ciIndex_(headers, 'Goal');
+  const idxAmount = ciIndex_(headers, 'Amount'), idxKey = ciIndex_(headers, 'Transaction ID');
+  const idxCurrency = ciIndex_(headers, 'Currency');
+  if (idxGoal === -1 || idxAmount === -1) {
+    console.warn(`[Goals] Sheet '${GOAL_ALLOCATIONS_SHEET}' butuh kolom Goal dan Amount; alokasi dilewati.`);
+    return [];
   }
+  const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+  const legacyCurrency = resolveBaseCurrency_();
+  return data.slice(1).map(row => {
+    const date = new Date(idxDate !== -1 ? row[idxDate] : '');
+    const currency = (idxCurrency !== -1 && normalizeCurrencyCode_(row[idxCurrency])) || legacyCurrency;
+    return {
+      Date: date,
+      Goal: String(row[idxGoal] || '').trim(),
+      Amount: fx.convert(normalizeNumber_(row[idxAmount]), currency, isNaN(date.getTime()) ? new Date() : date),
+      Currency: currency,
+      Key: idxKey !== -1 ? String(row[idxKey] || '').trim() : ''
+    };
+  }).filter(a => a.Goal && a.Amount);
 }
 
-// ---------- Case-insensitive helpers ----------
-function ciIndex_(headers, target) {
-  if (!headers) return -1;
-  const want = String(target).trim().toLowerCase();
-  for (let i = 0; i < headers.length; i++) {
-    if (String(headers[i]).trim().toLowerCase() === want) return i;
+/**
+ * Dana terkumpul per goal dari sumber eksplisit:
+ *  - `Linked Wallets` (Goals Setup): saldo wallet hari ini (termasuk nilai pasar investasi). Wallet yang ditautkan ke beberapa
+ *    goal dibagi proporsional terhadap Nominal Needed. Alokasi untuk goal ini diabaikan agar tidak dihitung dua kali.
+ *  - Goal Allocations: jumlah alokasi sampai hari ini.
+ * Goal tanpa keduanya tidak muncul di hasil (calculateGoalsStatus_ memakai pencocokan transaksi lama).
+ * @param {Array<Array>} goalsData Data mentah sheet Goals Setup.
+ * @param {Array<Array>} allTxRaw Data mentah sheet Input.
+ * @param {string} [baseCurrency] Mata uang pelaporan (default: resolveBaseCurrency_).
+ * @returns {Object<string, {collected: number, earliest: Date, source: string, wallets: Array<string>}>} key = normStr_(nama goal)
+ */
+function buildGoalFunding_(goalsData, allTxRaw, baseCurrency) {
+  const out = {};
+  if (!goalsData || goalsData.length < 2) return out;
+  const headers = goalsData[0];
+  const idxName = ciIndex_(headers, 'Goals'), idxNeeded = ciIndex_(headers, 'Nominal Needed');
+  const idxLinked = ciIndex_(headers, 'Linked Wallets');
+  const today = new Date(); today.setHours(0,0,0,0);
+  const endOfToday = new Date(today.getTime() + 86400000 - 1);
+
+  const linked = {}; // goalKey -> { wallets, needed }
+  const walletGoals = {}; // normStr_(wallet) -> [goalKey]
+  if (idxLinked !== -1) {
+    goalsData.slice(1).forEach(row => {
+      const key = normStr_(row[idxName]);
+      const wallets = parseLinkedWallets_(row[idxLinked]);
+      if (!key || !wallets.length) return;
+      linked[key] = { wallets, needed: Math.max(0, normalizeNumber_(idxNeeded !== -1 ? row[idxNeeded] : 0)) };
+      wallets.forEach(w => (walletGoals[normStr_(w)] = walletGoals[normStr_(w)] || []).push(key));
+    });
   }
-  return -1;
+
+  if (Object.keys(linked).length && allTxRaw && allTxRaw.length > 1) {
+    const snapshot = calculateNetWorthSnapshot_(allTxRaw, endOfToday, null, baseCurrency || resolveBaseCurrency_());
+    const balances = {};
+    snapshot.wallets.forEach(w => { balances[normStr_(w.Wallet)] = w.Balance; });
+    // Tanggal transaksi pertama tiap wallet sebagai T0
+    const idxDate = ciIndex_(allTxRaw[0], 'Date'), idxWallet = ciIndex_(allTxRaw[0], 'Wallet');
+    const firstDate = {};
+    allTxRaw.slice(1).forEach(row => {
+      const d = new Date(row[idxDate]);
+      const w = normStr_(row[idxWallet]);
+      if (!w || !walletGoals[w] || isNaN(d.getTime())) return;
+      d.setHours(0,0,0,0);
+      if (!firstDate[w] || d < firstDate[w]) firstDate[w] = d;
+    });
+    Object.keys(linked).forEach(goalKey => {
+      const g = linked[goalKey];
+      let collected = 0, earliest = null;
+      g.wallets.forEach(name => {
+        const w = normStr_(name);
+        const sharers = walletGoals[w];
+        const neededTotal = sharers.reduce((s, k) => s + linked[k].needed, 0);
+        const share = neededTotal > 0 ? g.needed / neededTotal : 1 / sharers.length;
+        collected += Math.max(0, balances[w] || 0) * share;
+        if (firstDate[w] && (!earliest || firstDate[w] < earliest)) earliest = firstDate[w];
+      });
+      out[goalKey] = { collected, earliest: earliest || today, source: 'Wallets', wallets: g.wallets };
+    });
+  }
+
+  getGoalAllocations_(baseCurrency).forEach(a => {
+    const key = normStr_(a.Goal);
+    if (linked[key]) return;
+    if (!isNaN(a.Date.getTime()) && a.Date > endOfToday) return;
+    const entry = out[key] || (out[key] = { collected: 0, earliest: null, source: 'Allocations', wallets: [] });
+    entry.collected += a.Amount;
+    if (!isNaN(a.Date.getTime())) {
+      const d = new Date(a.Date); d.setHours(0,0,0,0);
+      if (!entry.earliest || d < entry.earliest) entry.earliest = d;
+    }
+  });
+  Object.values(out).forEach(e => {
+    if (e.source === 'Allocations') {
+      e.collected = Math.max(0, e.collected);
+      if (!e.earliest) e.earliest = today;
+    }
+  });
+  return out;
 }
-function normStr_(v) {
-  return String(v === null || v === undefined ? '' : v).trim().toLowerCase();
+
+/**
+ * Transaksi tabungan periode ini (saving terselubung atau Category 'Saving/Investment') yang belum habis dialokasikan ke goal.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {object} filters Filter dashboard (walletOwner dihormati).
+ * @param {Date} startDate Awal periode.
+ * @param {Date} endDate Akhir periode.
+ * @returns {Array<Object>} [{ UniqueID, Key, Row, DisplayDate, Wallet, Owner, Description, Amount, Allocated, Remaining }] terbaru dulu, maks 20.
+ */
+function calculateGoalAllocationCandidates_(allTransactionsData, filters, startDate, endDate) {
+  if (!allTransactionsData || allTransactionsData.length < 2) return [];
+  const classifier = getClassifier_();
+  const idxTxId = ciIndex_(allTransactionsData[0], 'Transaction ID');
+  const allocated = {};
+  getGoalAllocations_(resolveBaseCurrency_(filters)).forEach(a => { if (a.Key) allocated[a.Key] = (allocated[a.Key] || 0) + a.Amount; });
+
+  const byRow = {};
+  const scope = { walletOwner: (filters || {}).walletOwner || '', baseCurrency: (filters || {}).baseCurrency || '' };
+  getFilteredTransactions_(allTransactionsData, scope, startDate, endDate).forEach(t => {
+    if (t.IsInternalTransfer || !t.Amount) return;
+    if (!classifier.isDisguisedSaving(t) && normStr_(t.Category) !== 'saving/investment') return;
+    const entry = byRow[t.Row] || (byRow[t.Row] = {
+      UniqueID: `alloc-${t.Row}`,
+      Key: transactionKey_(allTransactionsData[t.Row - 1], idxTxId, t.Row),
+      Row: t.Row,
+      Date: t.Date,
+      DisplayDate: formatDateForDisplay_(t.Date),
+      Wallet: t.Wallet,
+      Owner: t.Owner || '',
+      Description: t.Description || t.Subcategory || '',
+      Amount: 0
+    });
+    entry.Amount += Math.abs(t.Amount);
+  });
+  return Object.values(byRow)
+    .map(c => ({ ...c, Allocated: allocated[c.Key] || 0, Remaining: Math.max(0, c.Amount - (allocated[c.Key] || 0)) }))
+    .filter(c => c.Remaining > 0.005)
+    .sort((a, b) => b.Date - a.Date)
+    .slice(0, 20)
+    .map(({ Date: _d, ...rest }) => rest);
 }
-function isLiabilitiesSource_(v) {
-  const s = normStr_(v);
-  return s === 'liabilities' || s === 'liability';
+
+/**
+ * Membagi satu transaksi tabungan ke beberapa goal (menulis sheet Goal Allocations, dibuat otomatis bila belum ada).
+ * Nominal alokasi dalam base currency (sama dengan kandidat calculateGoalAllocationCandidates_) dan disimpan bersama
+ * kolom Currency; batasnya adalah nominal transaksi yang dikonversi ke mata uang tsb pada tanggal transaksi, dikurangi
+ * alokasi sebelumnya yang juga dikonversi ke mata uang tsb.
+ * @param {object} payload { transactionKey, allocations: [{ goal, amount }], note, baseCurrency }
+ * @returns {{ok: boolean, rows: number}}
+ */
+function allocateToGoals(payload) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) throw new Error('Sheet sedang diproses; coba lagi sebentar lagi.');
+  try {
+    const p = payload || {};
+    const allocations = (p.allocations || [])
+      .map(a => ({ goal: String(a.goal || '').trim(), amount: normalizeNumber_(a.amount) }))
+      .filter(a => a.goal && a.amount);
+    if (!allocations.length) throw new Error('Isi nominal untuk minimal satu goal.');
+
+    const goalsData = getRawSheetData_(GOALS_SHEET, true);
+    const idxName = ciIndex_(goalsData[0] || [], 'Goals');
+    const goalNames = new Set(goalsData.slice(1).map(r => normStr_(r[idxName])).filter(Boolean));
+    const unknown = allocations.filter(a => !goalNames.has(normStr_(a.goal)));
+    if (unknown.length) throw new Error(`Goal tidak ditemukan: ${unknown.map(a => a.goal).join(', ')}`);
+
+    const key = String(p.transactionKey || '').trim();
+    const fx = getFxConverter_(resolveBaseCurrency_(p));
+    let date = new Date();
+    if (key) {
+      const allData = getRawSheetData_(DATA_SHEET, true);
+      const found = indexTransactionKeys_(allData)[key];
+      if (!found) throw new Error(`Transaksi ${key} tidak ditemukan di Input.`);
+      const row = allData[found.index];
+      const headers = allData[0];
+      const txDate = new Date(row[ciIndex_(headers, 'Date')]);
+      const rawAmount = row[ciIndex_(headers, 'Amount')];
+      const idxCurrency = ciIndex_(headers, 'Currency');
+      const currency = fx.currencyOf(idxCurrency !== -1 ? row[idxCurrency] : '', row[ciIndex_(headers, 'Wallet')], rawAmount);
+      if (!fx.canConvert(currency)) throw new Error(`Kurs ${currency} ke ${fx.baseCurrency} belum ada di sheet FX Rates.`);
+      const txAmount = Math.abs(fx.convert(normalizeNumber_(rawAmount), currency, isNaN(txDate.getTime()) ? new Date() : txDate));
+      const already = getGoalAllocations_(fx.baseCurrency).filter(a => a.Key === key).reduce((s, a) => s + a.Amount, 0);
+      const total = allocations.reduce((s, a) => s + a.amount, 0);
+      if (already + total > txAmount + 0.005) {
+        throw new Error(`Total alokasi (${already + total}) melebihi nominal transaksi (${txAmount}).`);
+      }
+      if (!isNaN(txDate.getTime())) date = txDate;
+    }
+
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    let sheet = ss.getSheetByName(GOAL_ALLOCATIONS_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(GOAL_ALLOCATIONS_SHEET);
+      sheet.appendRow(['Date', 'Goal', 'Amount', 'Currency', 'Transaction ID', 'Note']);
+      sheet.setFrozenRows(1);
+    }
+    // Sheet lama tanpa kolom Currency: tambahkan di kanan (baris lama dianggap base currency Script Property)
+    const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].slice();
+    if (ciIndex_(headers, 'Currency') === -1) {
+      headers.push('Currency');
+      sheet.getRange(1, headers.length).setValue('Currency');
+    }
+    allocations.forEach(a => {
+      const values = { 'date': date, 'goal': a.goal, 'amount': a.amount, 'currency': fx.baseCurrency, 'transaction id': key, 'note': p.note || '' };
+      sheet.appendRow(headers.map(h => (values[normStr_(h)] !== undefined ? values[normStr_(h)] : '')));
+    });
+
+    try { CacheService.getUserCache().remove(`rawSheetData_${GOAL_ALLOCATIONS_SHEET}`); } catch (e) { /* ignore */ }
+    return { ok: true, rows: allocations.length };
+  } catch (e) {
+    console.error('allocateToGoals error', e.stack || e);
+    throw new Error('Gagal menyimpan alokasi goal: ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
 }
 
-// tambah helper baru untuk deteksi jenis Source likuid
-function isLiquidSource_(src) {
-  const s = normStr_(src || '');
-  return ['cash & bank','cash and bank','cash','bank','e-wallet','ewallet','digital wallet','gopay','ovo'].some(k => s.includes(k));
+// #endregion
+
+// #region FINANCIAL HEALTH
+// =================================================================
+//                     FINANCIAL HEALTH
+// =================================================================
+
+// Lookback default rata-rata pengeluaran pokok; bisa diganti via Script Property COVERAGE_LOOKBACK_MONTHS
+const COVERAGE_DEFAULT_LOOKBACK_MONTHS = 6;
+// Bobot komponen skor (dinormalisasi ulang bila ada komponen tanpa data)
+const HEALTH_SCORE_WEIGHTS = { savings: 30, debt: 25, budget: 25, goals: 20 };
+const HEALTH_SAVINGS_TARGET = 0.20;
+// Debt-to-income <= GOOD bernilai 100, >= BAD bernilai 0
+const HEALTH_DTI_GOOD = 0.20;
+const HEALTH_DTI_BAD = 0.50;
+// Komponen dengan skor di bawah ini dianggap menurunkan skor total
+const HEALTH_FACTOR_OK = 70;
+
+/** Bulan lookback dari Script Property COVERAGE_LOOKBACK_MONTHS (1–36). */
+function getCoverageLookbackMonths_() {
+  const raw = Math.floor(normalizeNumber_(PropertiesService.getScriptProperties().getProperty('COVERAGE_LOOKBACK_MONTHS')));
+  return raw >= 1 ? Math.min(36, raw) : COVERAGE_DEFAULT_LOOKBACK_MONTHS;
 }
 
 /**
- * Normalisasi angka string berbagai format (ID / EN).
- * Contoh:
- *  "1.250.000"    -> 1250000
- *  "1,250,000"    -> 1250000
- *  "1.234,56"     -> 1234.56
- *  "1,234.56"     -> 1234.56
- *  "Rp 2.500,75"  -> 2500.75
- *  "- 3.000"      -> -3000
+ * Berapa bulan pengeluaran pokok bisa ditutup aset likuid.
+ *  - Aset likuid = saldo wallet Status (calculateWalletStatus_) yang Type-nya cocok rule `Liquid Wallet Type`.
+ *  - Pengeluaran pokok = expense di bulan kalender penuh sebelum bulan asOf (sebanyak lookback) yang Category/Subcategory-nya
+ *    punya kolom Ratios cocok rule `Core Expense Ratio`. Bila belum ada mapping Ratios pokok, seluruh expense
+ *    (kecuali saving terselubung) dipakai. Rata-rata dibagi jumlah bulan yang punya expense.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {Array<Array>} categoryData Data mentah sheet Category Setup.
+ * @param {Array<Object>} walletStatus Wallet Status (sudah difilter owner bila ada).
+ * @param {Date} asOf Tanggal acuan.
+ * @param {object} filters walletOwner dihormati.
+ * @returns {Object} { LiquidAssets, AvgMonthlyCoreExpense, Months, LookbackMonths, MonthsWithData, Basis, WindowStart, WindowEnd }
  */
-function normalizeNumber_(val) {
-  if (val === null || val === undefined) return 0;
-  if (typeof val === 'number') return isNaN(val) ? 0 : val;
-  let s = String(val).trim();
-  if (!s) return 0;
+function calculateEmergencyCoverage_(allTransactionsData, categoryData, walletStatus, asOf, filters) {
+  const classifier = getClassifier_();
+  const lookback = getCoverageLookbackMonths_();
+  const liquidAssets = (walletStatus || []).reduce((s, w) => s + (classifier.isLiquidWalletType(w.Type) ? (w.Balance || 0) : 0), 0);
+
+  const coreKeys = new Set();
+  if (categoryData && categoryData.length > 1) {
+    const headers = categoryData[0];
+    const idxCat = ciIndex_(headers, 'Category'), idxSub = ciIndex_(headers, 'Subcategory'), idxRatio = ciIndex_(headers, 'Ratios');
+    if (idxRatio !== -1) {
+      categoryData.slice(1).forEach(row => {
+        if (classifier.isCoreExpenseRatio(row[idxRatio])) coreKeys.add(`${normStr_(row[idxCat])}|${normStr_(idxSub !== -1 ? row[idxSub] : '')}`);
+      });
+    }
+  }
+  const isCore = t => !coreKeys.size
+    || coreKeys.has(`${normStr_(t.Category)}|${normStr_(t.Subcategory)}`)
+    || coreKeys.has(`${normStr_(t.Category)}|`);
+
+  const windowStart = new Date(asOf.getFullYear(), asOf.getMonth() - lookback, 1);
+  const windowEnd = new Date(asOf.getFullYear(), asOf.getMonth(), 0, 23, 59, 59, 999);
+  const byMonth = {};
+  getFilteredTransactions_(allTransactionsData, { walletOwner: (filters || {}).walletOwner || '' }, windowStart, windowEnd).forEach(t => {
+    if (normStr_(t.Type) !== 'expense' || classifier.isDisguisedSaving(t)) return;
+    const key = `${t.Date.getFullYear()}-${t.Date.getMonth()}`;
+    byMonth[key] = byMonth[key] || 0;
+    if (isCore(t)) byMonth[key] += -t.Amount;
+  });
+  const monthsWithData = Object.keys(byMonth).length;
+  const total = Object.values(byMonth).reduce((s, v) => s + v, 0);
+  const avg = monthsWithData ? total / monthsWithData : 0;
+  return {
+    LiquidAssets: liquidAssets,
+    AvgMonthlyCoreExpense: avg,
+    Months: avg > 0 ? parseFloat((Math.max(0, liquidAssets) / avg).toFixed(1)) : null,
+    LookbackMonths: lookback,
+    MonthsWithData: monthsWithData,
+    Basis: coreKeys.size ? 'Core Ratios' : 'All Expenses',
+    WindowStart: formatDateForDisplay_(windowStart),
+    WindowEnd: formatDateForDisplay_(new Date(windowEnd.getFullYear(), windowEnd.getMonth(), windowEnd.getDate()))
+  };
+}
 
-  // Allow leading sign
-  let sign = 1;
-  if (/^-/.test(s.replace(/\s+/g,''))) sign = -1;
-  s = s.replace(/[()+\s]|Rp|IDR/gi,'').trim();
+/**
+ * Skor kesehatan finansial 0–100 dari empat komponen (masing-masing 0–100, bobot HEALTH_SCORE_WEIGHTS):
+ *  - savings: (Saving + investmentGain) / Income periode (kpiSummary), sama dengan Savings Performance; HEALTH_SAVINGS_TARGET = 100.
+ *  - debt: cicilan hutang / income selama lookback coverage (ledger liabilitas; pencairan pinjaman bukan income).
+ *  - budget: rata-rata baris budget per subkategori (On Track 100, Warning 60, Over 0).
+ *  - goals: 100 − rata-rata RiskScore goal yang belum selesai.
+ * Komponen tanpa data dilewati. Detractors = komponen di bawah HEALTH_FACTOR_OK, urut poin yang hilang terbesar.
+ * @param {Object} coverage Hasil calculateEmergencyCoverage_ (sumber LookbackMonths).
+ * @param {Date} asOf Tanggal acuan jendela lookback debt-to-income.
+ * @returns {Object} { Score, Grade, Components: [{ Factor, Label, Score, Weight, Value, Explanation }], Detractors }
+ */
+function calculateHealthScore_(allTransactionsData, kpiSummary, budgetStatus, goalsStatus, coverage, asOf, filters, baseCurrency) {
+  const clamp = v => Math.max(0, Math.min(100, v));
+  const pct = v => `${(v * 100).toFixed(1)}%`;
+  const components = [];
+  const add = (factor, label, score, value, explanation) => components.push({
+    Factor: factor, Label: label, Score: Math.round(clamp(score)), Weight: HEALTH_SCORE_WEIGHTS[factor], Value: value, Explanation: explanation
+  });
 
-  // Keep only digits , .'
-  s = s.replace(/[^0-9,.-]/g,'');
+  const kpi = kpiSummary || {};
+  if (kpi.income > 0) {
+    // Sama dengan Savings Performance: saving kas + perubahan nilai pasar investasi periode ini
+    const rate = ((kpi.saving || 0) + (kpi.investmentGain || 0)) / kpi.income;
+    const basis = kpi.investmentGain ? ' (incl. investment market value change)' : '';
+    add('savings', 'Savings Rate', rate / HEALTH_SAVINGS_TARGET * 100, rate,
+      rate >= HEALTH_SAVINGS_TARGET ? `Saving ${pct(rate)} of income${basis} meets the ${pct(HEALTH_SAVINGS_TARGET)} target.`
+        : `Saving ${pct(rate)} of income${basis} is below the ${pct(HEALTH_SAVINGS_TARGET)} target.`);
+  }
 
-  // Positions
-  const lastComma = s.lastIndexOf(',');
-  const lastDot = s.lastIndexOf('.');
-  let decimalSep = null;
-  if (lastComma !== -1 && lastDot !== -1) {
-    decimalSep = lastComma > lastDot ? ',' : '.';
-  } else if (lastComma !== -1) {
-    if (s.length - lastComma - 1 <= 2) decimalSep = ',';
-  } else if (lastDot !== -1) {
-    if (s.length - lastDot - 1 <= 2) decimalSep = '.';
+  // Debt-to-income pada jendela yang sama dengan coverage
+  if (allTransactionsData && allTransactionsData.length > 1) {
+    const ownerFilter = (filters || {}).walletOwner || '';
+    const fx = getFxConverter_(baseCurrency || resolveBaseCurrency_());
+    const headers = allTransactionsData[0];
+    const readLiability = makeLiabilityRowReader_(headers, fx);
+    const idxType = ciIndex_(headers, 'Transaction Type'), idxDate = ciIndex_(headers, 'Date');
+    const idxAmount = ciIndex_(headers, 'Amount'), idxWallet = ciIndex_(headers, 'Wallet');
+    const idxOwner = ciIndex_(headers, 'Wallet Owner'), idxCurrency = ciIndex_(headers, 'Currency');
+    const lookback = (coverage && coverage.LookbackMonths) || getCoverageLookbackMonths_();
+    const from = new Date(asOf.getFullYear(), asOf.getMonth() - lookback, 1);
+    const to = new Date(asOf.getFullYear(), asOf.getMonth(), 0, 23, 59, 59, 999);
+    let income = 0, repaid = 0;
+    allTransactionsData.slice(1).forEach(row => {
+      const d = new Date(row[idxDate]);
+      if (isNaN(d.getTime()) || d < from || d > to) return;
+      if (ownerFilter && (idxOwner !== -1 ? row[idxOwner] : '') !== ownerFilter) return;
+      const ev = readLiability(row);
+      if (ev) {
+        if (ev.isRepayment) repaid += ev.amount;
+        return; // pencairan pinjaman bukan income
+      }
+      if (normStr_(row[idxType]) !== 'income') return;
+      income += Math.abs(fx.convert(normalizeNumber_(row[idxAmount]),
+        fx.currencyOf(idxCurrency !== -1 ? row[idxCurrency] : '', row[idxWallet], row[idxAmount]), d));
+    });
+    if (income > 0) {
+      const dti = repaid / income;
+      add('debt', 'Debt-to-Income', (HEALTH_DTI_BAD - dti) / (HEALTH_DTI_BAD - HEALTH_DTI_GOOD) * 100, dti,
+        dti <= HEALTH_DTI_GOOD ? `Debt payments take ${pct(dti)} of income over the last ${lookback} months.`
+          : `Debt payments take ${pct(dti)} of income over the last ${lookback} months (healthy: <= ${pct(HEALTH_DTI_GOOD)}).`);
+    }
   }
 
-  if (decimalSep) {
-    const thousandSep = decimalSep === ',' ? '.' : ',';
-    s = s.split(thousandSep).join('');
-    if (decimalSep === ',') s = s.replace(',', '.');
-  } else {
-    // remove all separators
-    s = s.replace(/[.,]/g,'');
+  const budgetLines = (budgetStatus || []).filter(b => b.Subcategory !== 'All' && (b.BudgetAmount > 0 || b.ActualExpense > 0));
+  if (budgetLines.length) {
+    const points = { 'On Track': 100, 'Warning': 60, 'Over': 0 };
+    const over = budgetLines.filter(b => b.Status === 'Over');
+    const score = budgetLines.reduce((s, b) => s + (points[b.Status] !== undefined ? points[b.Status] : 100), 0) / budgetLines.length;
+    add('budget', 'Budget Adherence', score, over.length / budgetLines.length,
+      over.length ? `${over.length} of ${budgetLines.length} budgets are over (${over.slice(0, 3).map(b => b.Subcategory).join(', ')}).`
+        : `All ${budgetLines.length} budgets are within limits.`);
+  }
 
+  const activeGoals = (goalsStatus || []).filter(g => ['Completed', 'Overfunded'].indexOf(g.Status) === -1 && g.TotalNeeded > 0);
+  if (activeGoals.length) {
+    const avgRisk = activeGoals.reduce((s, g) => s + (g.RiskScore || 0), 0) / activeGoals.length;
+    const risky = activeGoals.filter(g => ['At Risk', 'Off Track', 'Overdue', 'Failed', 'No Activity'].indexOf(g.Status) !== -1);
+    add('goals', 'Goal Risk', 100 - avgRisk, avgRisk,
+      risky.length ? `${risky.length} of ${activeGoals.length} goals are at risk (${risky.slice(0, 3).map(g => g.GoalName).join(', ')}).`
+        : `All ${activeGoals.length} active goals are on pace.`);
   }
 
-  const num = parseFloat(s);
-  return isNaN(num) ? 0 : num * sign;
+  if (!components.length) return { Score: null, Grade: '', Components: [], Detractors: [] };
+  const totalWeight = components.reduce((s, c) => s + c.Weight, 0);
+  const score = Math.round(components.reduce((s, c) => s + c.Score * c.Weight, 0) / totalWeight);
+  const detractors = components
+    .filter(c => c.Score < HEALTH_FACTOR_OK)
+    .map(c => ({ Factor: c.Factor, Label: c.Label, Score: c.Score, PointsLost: Math.round((100 - c.Score) * c.Weight / totalWeight), Explanation: c.Explanation }))
+    .sort((a, b) => b.PointsLost - a.PointsLost);
+  return {
+    Score: score,
+    Grade: score >= 80 ? 'Healthy' : (score >= 60 ? 'Fair' : (score >= 40 ? 'Needs Attention' : 'Critical')),
+    Components: components,
+    Detractors: detractors
+  };
 }
 
+// #endregion
+
+// #region ZAKAT
+// =================================================================
+//                     ZAKAT MAL
+// =================================================================
+
+// Nisab = 85 gram emas; tarif 2,5%. Utang jangka pendek = jatuh tempo dalam ZAKAT_SHORT_TERM_MONTHS bulan.
+const ZAKAT_NISAB_GRAMS = 85;
+const ZAKAT_RATE = 0.025;
+const ZAKAT_SHORT_TERM_MONTHS = 12;
+// Kategori transaksi Input yang dibuat recordZakatPayment
+const ZAKAT_CATEGORY = 'Zakat';
+const ZAKAT_SUBCATEGORY = 'Maal';
+
 /**
- * Hitung jumlah aset likuid dari transaksi sampai cutoffDate.
- * @param {Array<Array>} allTransactionsData Data mentah dari sheet Input (termasuk header)
- * @param {Date} cutoffDate Tanggal akhir snapshot
- * @returns {Number} Total aset likuid per cutoffDate
+ * Pengaturan zakat dari Script Properties: ZAKAT_GOLD_PRICE (harga emas per gram, base currency),
+ * ZAKAT_INCLUDE_INVESTMENTS (default true) dan ZAKAT_HAUL_DATE (tanggal haul tahunan, 'yyyy-MM-dd' atau 'MM-dd';
+ * hanya bulan & tanggalnya yang dipakai).
  */
-function computeLiquidAssetsSnapshot_(allTransactionsData, cutoffDate) {
-  if (!allTransactionsData || allTransactionsData.length < 2 || !cutoffDate) return 0;
-  const copy = [...allTransactionsData];
-  const headers = copy.shift();
-  const idxDate = headers.indexOf('Date');
-  const idxWallet = headers.indexOf('Wallet');
-  const idxAmount = headers.indexOf('Amount');
-  const idxType = headers.indexOf('Transaction Type');
-  const idxSubcat = headers.indexOf('Subcategory');
-  const idxSource = headers.indexOf('Source');
+function getZakatSettings_() {
+  const props = PropertiesService.getScriptProperties();
+  const includeRaw = props.getProperty('ZAKAT_INCLUDE_INVESTMENTS');
+  return {
+    goldPrice: Math.max(0, normalizeNumber_(props.getProperty('ZAKAT_GOLD_PRICE'))),
+    includeInvestments: includeRaw === null || includeRaw === '' ? true : isTruthyFlag_(includeRaw),
+    haulAnchor: parseZakatHaulAnchor_(props.getProperty('ZAKAT_HAUL_DATE'))
+  };
+}
 
-  // Hitung saldo per wallet sampai cutoffDate
-  const balanceMap = {};
-  const walletSources = {};
+/** 'yyyy-MM-dd' / 'MM-dd' -> { month (0-11), day } atau null bila kosong / tidak valid. */
+function parseZakatHaulAnchor_(v) {
+  const m = String(v || '').trim().match(/(?:^|-)(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const month = Number(m[1]) - 1, day = Number(m[2]);
+  return month >= 0 && month <= 11 && day >= 1 && day <= 31 ? { month, day } : null;
+}
 
-  copy.forEach(row => {
-    const rawDate = row[idxDate];
-    const d = new Date(rawDate);
-    if (isNaN(d.getTime()) || d > cutoffDate) return;
+/**
+ * Tanggal haul yang berlaku per refDate: ulang tahun ZAKAT_HAUL_DATE terakhir yang <= refDate
+ * (29 Feb -> 28 Feb di tahun biasa). Tanpa pengaturan, refDate sendiri yang dipakai.
+ */
+function resolveZakatHaulDate_(anchor, refDate) {
+  const ref = new Date(refDate.getFullYear(), refDate.getMonth(), refDate.getDate());
+  if (!anchor) return ref;
+  const onYear = y => new Date(y, anchor.month, Math.min(anchor.day, new Date(y, anchor.month + 1, 0).getDate()));
+  const thisYear = onYear(ref.getFullYear());
+  return thisYear <= ref ? thisYear : onYear(ref.getFullYear() - 1);
+}
 
-    const wallet = row[idxWallet];
-    if (!wallet) return;
+/**
+ * Simpan harga emas per gram, opsi investasi dan tanggal haul dari card Zakat.
+ * @param {object} settings { goldPrice, includeInvestments, haulDate ('yyyy-MM-dd', opsional) }
+ * @returns {{ok: boolean}}
+ */
+function saveZakatSettings(settings) {
+  try {
+    const s = settings || {};
+    const goldPrice = normalizeNumber_(s.goldPrice);
+    if (!(goldPrice > 0)) throw new Error('Harga emas per gram harus lebih dari 0.');
+    if (s.haulDate && !parseZakatHaulAnchor_(s.haulDate)) throw new Error('Tanggal haul tidak valid.');
+    const props = PropertiesService.getScriptProperties();
+    props.setProperty('ZAKAT_GOLD_PRICE', String(goldPrice));
+    props.setProperty('ZAKAT_INCLUDE_INVESTMENTS', s.includeInvestments === false ? 'false' : 'true');
+    if (s.haulDate) props.setProperty('ZAKAT_HAUL_DATE', String(s.haulDate).trim());
+    return { ok: true };
+  } catch (e) {
+    console.error('saveZakatSettings error', e.stack || e);
+    throw new Error('Gagal menyimpan pengaturan zakat: ' + e.message);
+  }
+}
 
-    let amount = normalizeNumber_(row[idxAmount]);
-    const transactionType = (row[idxType] || '').toString().toLowerCase();
-    const subcategoryRaw = (row[idxSubcat] || '').toString().toLowerCase();
+/** Baris sheet opsional Zakat Payments: [{ Date, Owner, HaulDate ('yyyy-MM-dd'), Amount, Wallet }]. */
+function getZakatPayments_() {
+  const data = getRawSheetData_(ZAKAT_PAYMENTS_SHEET, true, true);
+  if (!data || data.length < 2) return [];
+  const headers = data[0];
+  const tz = Session.getScriptTimeZone();
+  const col = name => ciIndex_(headers, name);
+  return data.slice(1).map(row => {
+    const date = new Date(row[col('Date')]);
+    const haul = new Date(row[col('Haul Date')]);
+    return {
+      Date: date,
+      Owner: col('Wallet Owner') !== -1 ? String(row[col('Wallet Owner')] || '') : '',
+      HaulDate: isNaN(haul.getTime()) ? '' : Utilities.formatDate(haul, tz, 'yyyy-MM-dd'),
+      Amount: Math.abs(normalizeNumber_(row[col('Amount')])),
+      Wallet: col('Wallet') !== -1 ? String(row[col('Wallet')] || '') : ''
+    };
+  }).filter(p => p.Amount && p.HaulDate && !isNaN(p.Date.getTime()));
+}
 
-    if (transactionType === 'income') amount = Math.abs(amount);
-    else if (transactionType === 'expense') amount = -Math.abs(amount);
-    else if (transactionType === 'transfer') {
-      if (subcategoryRaw === 'transfer-out') amount = -Math.abs(amount);
-      else if (subcategoryRaw === 'transfer-in') amount = Math.abs(amount);
-      else amount = 0;
+/**
+ * Menghitung zakat mal per Wallet Owner pada tanggal haul yang berlaku per asOf (resolveZakatHaulDate_):
+ *  - Harta zakat = saldo wallet per asOf (calculateNetWorthSnapshot_) yang Wallet Type-nya cocok rule `Zakat Wallet Type`;
+ *    wallet investasi (punya posisi Holdings atau cocok rule `Investment Wallet Type`) hanya bila ZAKAT_INCLUDE_INVESTMENTS.
+ *    Saldo negatif dianggap 0. Pembayaran zakat untuk tahun haul yang sama (tahun kolom Haul Date) ditambahkan kembali
+ *    agar tidak mengurangi basisnya.
+ *  - Dikurangi utang jangka pendek: ledger Input (seluruh outstanding) dan cicilan pokok sheet Loans yang jatuh tempo
+ *    dalam ZAKAT_SHORT_TERM_MONTHS bulan.
+ *  - Wajib bila harta bersih >= nisab (ZAKAT_NISAB_GRAMS × harga emas); kewajiban = ZAKAT_RATE × harta bersih.
+ * @param {Array<Array>} allTransactionsData Data mentah sheet Input.
+ * @param {Array<Object>} walletStatus Hasil calculateWalletStatus_ (sumber Wallet Type & Owner).
+ * @param {Date} asOf Tanggal acuan (akhir periode dashboard, maks. hari ini).
+ * @param {object} filters walletOwner dihormati.
+ * @param {string} baseCurrency Mata uang pelaporan.
+ * @returns {Object} { AsOf (tanggal haul), DisplayAsOf, HaulYear, HaulConfigured, GoldPricePerGram, NisabGrams, Nisab, Rate, IncludeInvestments, Configured,
+ *   Owners: [{ Owner, ZakatableAssets, ShortTermLiabilities, NetZakatable, MeetsNisab, Obligation, Paid, Remaining, Wallets }],
+ *   TotalObligation, TotalRemaining }
+ */
+function calculateZakat_(allTransactionsData, walletStatus, asOf, filters, baseCurrency) {
+  const settings = getZakatSettings_();
+  const tz = Session.getScriptTimeZone();
+  const haulDay = resolveZakatHaulDate_(settings.haulAnchor, asOf);
+  const cutoff = new Date(haulDay.getFullYear(), haulDay.getMonth(), haulDay.getDate(), 23, 59, 59, 999);
+  const asOfKey = Utilities.formatDate(haulDay, tz, 'yyyy-MM-dd');
+  const haulYear = asOfKey.slice(0, 4);
+  const nisab = settings.goldPrice * ZAKAT_NISAB_GRAMS;
+  const result = {
+    AsOf: asOfKey,
+    DisplayAsOf: formatDateForDisplay_(haulDay),
+    HaulYear: Number(haulYear),
+    HaulConfigured: !!settings.haulAnchor,
+    GoldPricePerGram: settings.goldPrice,
+    NisabGrams: ZAKAT_NISAB_GRAMS,
+    Nisab: nisab,
+    Rate: ZAKAT_RATE,
+    IncludeInvestments: settings.includeInvestments,
+    Configured: settings.goldPrice > 0,
+    Owners: [],
+    TotalObligation: 0,
+    TotalRemaining: 0
+  };
+  const ownerFilter = (filters || {}).walletOwner || '';
+  const classifier = getClassifier_();
+  const meta = {};
+  (walletStatus || []).forEach(w => { meta[w.Wallet] = { Type: w.Type || '', Owner: w.Owner || '' }; });
+
+  const payments = getZakatPayments_().filter(p => p.HaulDate.slice(0, 4) === haulYear);
+  const addBack = {};
+  payments.forEach(p => { if (p.Wallet && p.Date <= cutoff) addBack[p.Wallet] = (addBack[p.Wallet] || 0) + p.Amount; });
+
+  const snapshot = calculateNetWorthSnapshot_(allTransactionsData, cutoff, null, baseCurrency);
+  const investmentWallets = calculateHoldingsValuation_(cutoff, baseCurrency).wallets;
+  const owners = {};
+  const ownerEntry = name => owners[name] || (owners[name] = { Owner: name, ZakatableAssets: 0, ShortTermLiabilities: 0, Wallets: [] });
+
+  snapshot.wallets.forEach(w => {
+    const owner = (meta[w.Wallet] && meta[w.Wallet].Owner) || w.Owner || '';
+    if (ownerFilter && owner !== ownerFilter) return;
+    const type = (meta[w.Wallet] && meta[w.Wallet].Type) || '';
+    const balance = Math.max(0, w.Balance + (addBack[w.Wallet] || 0));
+    const isInvestment = !!investmentWallets[w.Wallet] || classifier.isInvestmentWalletType(type);
+    let included = false, reason;
+    if (isInvestment) {
+      included = settings.includeInvestments;
+      reason = included ? 'Investment' : 'Investment (excluded)';
+    } else {
+      included = classifier.isZakatWalletType(type);
+      reason = included ? type : `Type '${type || '-'}' tidak termasuk`;
     }
+    const entry = ownerEntry(owner);
+    entry.Wallets.push({ Wallet: w.Wallet, Type: type, Balance: balance, Included: included, Reason: reason });
+    if (included) entry.ZakatableAssets += balance;
+  });
 
-    if (!balanceMap[wallet]) balanceMap[wallet] = 0;
-    balanceMap[wallet] += amount;
-
-    // collect source samples for this wallet
-    if (idxSource >= 0) {
-      const src = row[idxSource];
-      if (src) {
-        walletSources[wallet] = walletSources[wallet] || new Set();
-        walletSources[wallet].add(String(src).trim());
-      }
-    }
+  const horizonKey = Utilities.formatDate(addMonthsClamped_(haulDay, ZAKAT_SHORT_TERM_MONTHS, haulDay.getDate()), tz, 'yyyy-MM-dd');
+  const liabilities = getLiabilityBalances_(allTransactionsData, cutoff, null, baseCurrency);
+  const addLiability = (owner, amount) => {
+    if (!(amount > 0) || (ownerFilter && owner !== ownerFilter)) return;
+    ownerEntry(owner).ShortTermLiabilities += amount;
+  };
+  liabilities.ledger.forEach(l => addLiability(l.Owner || '', l.Outstanding));
+  liabilities.loans.forEach(loan => {
+    // Schedule.DueDate berformat 'yyyy-MM-dd' sehingga bisa dibandingkan sebagai string
+    const dueSoon = (loan.Schedule || [])
+      .filter(s => !s.Paid && s.DueDate > asOfKey && s.DueDate <= horizonKey)
+      .reduce((s, p) => s + (p.PrincipalPart || 0), 0);
+    addLiability(loan.Owner || '', Math.min(loan.Outstanding, dueSoon));
   });
 
-  // Deteksi wallet likuid
-  let totalLiquid = 0;
-  Object.keys(balanceMap).forEach(wallet => {
-    let isLiquid = false;
-    const sources = Array.from(walletSources[wallet] || []);
-    if (sources.length > 0) {
-      isLiquid = sources.some(source => isLiquidSource_(source));
-    }
-    if (!isLiquid) {
-      const walletName = (wallet || '').toString().toLowerCase();
-      if (/bca|bank|gopay|ovo/.test(walletName)) isLiquid = true;
+  result.Owners = Object.values(owners).map(o => {
+    const net = Math.max(0, o.ZakatableAssets - o.ShortTermLiabilities);
+    const meetsNisab = result.Configured && net >= nisab;
+    const obligation = meetsNisab ? net * ZAKAT_RATE : 0;
+    const paid = payments.filter(p => p.Owner === o.Owner).reduce((s, p) => s + p.Amount, 0);
+    return {
+      ...o,
+      NetZakatable: net,
+      MeetsNisab: meetsNisab,
+      Obligation: obligation,
+      Paid: paid,
+      Remaining: Math.max(0, obligation - paid),
+      Wallets: o.Wallets.sort((a, b) => b.Balance - a.Balance)
+    };
+  }).sort((a, b) => b.NetZakatable - a.NetZakatable);
+  result.TotalObligation = result.Owners.reduce((s, o) => s + o.Obligation, 0);
+  result.TotalRemaining = result.Owners.reduce((s, o) => s + o.Remaining, 0);
+  return result;
+}
+
+/**
+ * Mencatat pembayaran zakat: baris di sheet Zakat Payments (dibuat otomatis) dan expense ZAKAT_CATEGORY/ZAKAT_SUBCATEGORY
+ * di Input agar saldo wallet ikut berkurang.
+ * @param {object} payment { owner, wallet, amount, haulDate ('yyyy-MM-dd'), note }
+ * @returns {{ok: boolean}}
+ */
+function recordZakatPayment(payment) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) throw new Error('Sheet sedang diproses; coba lagi sebentar lagi.');
+  try {
+    const p = payment || {};
+    const amount = Math.abs(normalizeNumber_(p.amount));
+    if (!amount) throw new Error('Nominal harus lebih dari 0.');
+    if (!p.wallet) throw new Error('Wallet pembayaran wajib dipilih.');
+    const m = String(p.haulDate || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!m) throw new Error('Tanggal haul tidak valid.');
+    const haulDate = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    const now = new Date();
+
+    const ss = SpreadsheetApp.openById(PropertiesService.getScriptProperties().getProperty('MAIN_SHEET_ID'));
+    const inputSheet = ss.getSheetByName(DATA_SHEET);
+    if (!inputSheet) throw new Error(`Sheet '${DATA_SHEET}' tidak ditemukan.`);
+    let sheet = ss.getSheetByName(ZAKAT_PAYMENTS_SHEET);
+    if (!sheet) {
+      sheet = ss.insertSheet(ZAKAT_PAYMENTS_SHEET);
+      sheet.appendRow(['Date', 'Wallet Owner', 'Haul Date', 'Amount', 'Wallet', 'Note']);
+      sheet.setFrozenRows(1);
     }
-    if (isLiquid) totalLiquid += balanceMap[wallet];
-  });
+    sheet.appendRow([now, p.owner || '', haulDate, amount, p.wallet, p.note || '']);
 
-  return totalLiquid;
+    const values = {
+      'date': now, 'transaction type': 'Expense', 'amount': amount, 'wallet': p.wallet, 'wallet owner': p.owner || '',
+      'category': ZAKAT_CATEGORY, 'subcategory': ZAKAT_SUBCATEGORY,
+      'description': `Zakat mal (haul ${Utilities.formatDate(haulDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')})`, 'note': p.note || ''
+    };
+    const inputHeaders = inputSheet.getRange(1, 1, 1, inputSheet.getLastColumn()).getValues()[0];
+    inputSheet.appendRow(inputHeaders.map(h => (values[normStr_(h)] !== undefined ? values[normStr_(h)] : '')));
+
+    try {
+      CacheService.getUserCache().removeAll([`rawSheetData_${DATA_SHEET}`, `rawSheetData_${ZAKAT_PAYMENTS_SHEET}`]);
+    } catch (e) { /* ignore */ }
+    return { ok: true };
+  } catch (e) {
+    console.error('recordZakatPayment error', e.stack || e);
+    throw new Error('Gagal mencatat pembayaran zakat: ' + e.message);
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 // #endregion
@@ -1921,6 +5926,31 @@ const SankeyChart = {
 };
 
 // ================== EXPORT CSV API (NEW) ==================
+/**
+ * Penulis CSV ber-seksi: writeSection(title, rows, headersOrder) menambah "# title", header, lalu baris.
+ * @returns {{lines: Array<string>, esc: Function, pushBlank: Function, writeSection: Function}}
+ */
+function createCsvWriter_() {
+  const lines = [];
+  const pushBlank = () => { if (lines.length && lines[lines.length-1] !== '') lines.push(''); };
+  const esc = v => {
+    if (v === null || v === undefined) return '';
+    const s = String(v);
+    return /[",\n]/.test(s) ? '"'+ s.replace(/"/g,'""') +'"' : s;
+  };
+  const writeSection = (title, rows, headersOrder) => {
+    pushBlank();
+    lines.push(`# ${title}`);
+    if (!rows || !rows.length) { lines.push('(no rows)'); return; }
+    const headers = headersOrder || Object.keys(rows[0]);
+    lines.push(headers.map(esc).join(','));
+    rows.forEach(r => {
+      lines.push(headers.map(h => esc(r[h])).join(','));
+    });
+  };
+  return { lines, esc, pushBlank, writeSection };
+}
+
 /**
  * Ekspor gabungan data dashboard + transaksi terfilter (dan opsional raw all time) dalam satu CSV ber-seksi.
  * @param {string} period
@@ -1936,7 +5966,7 @@ function exportDashboardCsv(period, filters, includeRawAll) {
     const dash = getDashboardData(safePeriod, safeFilters, false);
 
     // Ambil transaksi terfilter (re-run agar kita dapat objek transaksi)
-    const allTransactionsData = getRawSheetData_(DATA_SHEET, false);
+    const allTransactionsData = excludeConfirmedDuplicates_(getRawSheetData_(DATA_SHEET, false));
     const { startDate, endDate } = getPeriodDates_(safePeriod, safeFilters.startDate, safeFilters.endDate);
     const filteredTx = getFilteredTransactions_(allTransactionsData, safeFilters, startDate, endDate) || [];
 
@@ -1944,32 +5974,17 @@ function exportDashboardCsv(period, filters, includeRawAll) {
     let rawAllTx = [];
     if (includeRawAll) {
       const allRange = getPeriodDates_('all');
-      rawAllTx = getFilteredTransactions_(allTransactionsData, {}, allRange.startDate, allRange.endDate) || [];
+      rawAllTx = getFilteredTransactions_(allTransactionsData, { baseCurrency: safeFilters.baseCurrency }, allRange.startDate, allRange.endDate) || [];
     }
 
-    const lines = [];
-    const pushBlank = () => { if (lines.length && lines[lines.length-1] !== '') lines.push(''); };
-    const esc = v => {
-      if (v === null || v === undefined) return '';
-      const s = String(v);
-      return /[",\n]/.test(s) ? '"'+ s.replace(/"/g,'""') +'"' : s;
-    };
-    const writeSection = (title, rows, headersOrder) => {
-      pushBlank();
-      lines.push(`# ${title}`);
-      if (!rows || !rows.length) { lines.push('(no rows)'); return; }
-      const headers = headersOrder || Object.keys(rows[0]);
-      lines.push(headers.map(esc).join(','));
-      rows.forEach(r => {
-        lines.push(headers.map(h => esc(r[h])).join(','));
-      });
-    };
+    const { lines, esc, writeSection } = createCsvWriter_();
 
     // Meta
     const now = new Date();
     lines.push(`# EXPORT SatukasSatukas`);
     lines.push(`Generated,${now.toISOString()}`);
     lines.push(`Period,${safePeriod}`);
+    lines.push(`BaseCurrency,${dash.baseCurrency || resolveBaseCurrency_(safeFilters)}`);
     Object.keys(safeFilters).forEach(k => { if (safeFilters[k]) lines.push(`Filter:${k},${esc(safeFilters[k])}`); });
 
     // KPI Summary
@@ -1983,17 +5998,57 @@ function exportDashboardCsv(period, filters, includeRawAll) {
     ].map(r => { const diff = r.Current - r.Previous; const pct = r.Previous ? (diff/Math.abs(r.Previous))*100 : (r.Current?100:0); return { ...r, Diff: diff, DiffPct: pct.toFixed(2) }; });
     writeSection('KPI Summary', kpiRows, ['Metric','Current','Previous','Diff','DiffPct']);
 
+    // Skor kesehatan finansial + coverage dana darurat
+    const fi = dash.financialInsights || {};
+    const health = fi.healthScore || {};
+    const cov = fi.coverage || {};
+    const healthRows = (health.Components || []).map(c => ({ Factor: c.Label, Score: c.Score, Weight: c.Weight, Value: c.Value, Explanation: c.Explanation }));
+    if (health.Score !== undefined && health.Score !== null) healthRows.unshift({ Factor: 'Total', Score: health.Score, Weight: '', Value: health.Grade, Explanation: '' });
+    if (cov.LookbackMonths) healthRows.push({ Factor: 'Emergency Coverage (months)', Score: '', Weight: '', Value: cov.Months, Explanation: `Liquid ${cov.LiquidAssets} / avg ${cov.AvgMonthlyCoreExpense} (${cov.Basis}, ${cov.MonthsWithData} of ${cov.LookbackMonths} months)` });
+    writeSection('Financial Health', healthRows, ['Factor','Score','Weight','Value','Explanation']);
+
     // Wallet Status
-    writeSection('Wallet Status', (dash.walletStatus||[]).map(w => ({ Wallet:w.Wallet, Type:w.Type, Owner:w.Owner, Balance:w.Balance })), ['Wallet','Type','Owner','Balance']);
+    writeSection('Wallet Status', (dash.walletStatus||[]).map(w => ({ Wallet:w.Wallet, Type:w.Type, Owner:w.Owner, Balance:w.Balance, Currency:w.Currency, NativeBalance:w.NativeBalance, CostBasis:w.CostBasis, MarketValue:w.MarketValue, UnrealizedGain:w.UnrealizedGain, GainPct:w.GainPct, RealizedGain:w.RealizedGain })), ['Wallet','Type','Owner','Balance','Currency','NativeBalance','CostBasis','MarketValue','UnrealizedGain','GainPct','RealizedGain']);
+
+    // Holdings (posisi investasi per wallet)
+    const holdingRows = [];
+    (dash.walletStatus||[]).forEach(w => (w.Holdings||[]).forEach(h => holdingRows.push({ Wallet: w.Wallet, ...h })));
+    if (holdingRows.length) writeSection('Holdings', holdingRows, ['Wallet','Instrument','Units','CostBasis','Price','PriceCurrency','PriceDate','PriceSource','MarketValue','UnrealizedGain','GainPct']);
 
   // Goals Status (extended pacing fields)
-  writeSection('Goals Status', (dash.goalsStatus||[]), ['GoalName','StartDate','Deadline','TotalNeeded','Collected','ProgressPercentage','TargetCumulative','GapAmount','GapPct','RemainingAmount','ElapsedRatio','PaceNeededPerDay','ActualPacePerDay','DaysLeft','ProjectedFinish','RiskScore','Status']);
+  writeSection('Goals Status', (dash.goalsStatus||[]), ['GoalName','StartDate','Deadline','TotalNeeded','Collected','ProgressPercentage','TargetCumulative','GapAmount','GapPct','RemainingAmount','ElapsedRatio','PaceNeededPerDay','ActualPacePerDay','DaysLeft','ProjectedFinish','RiskScore','Status','Source','NominalNeeded','InflationRate']);
 
     // Budget Status
-    writeSection('Budget Status', (dash.budgetStatus||[]), ['Category','Subcategory','BudgetAmount','ActualExpense','RemainingBudget','UsagePercentage','Status']);
+    writeSection('Budget Status', (dash.budgetStatus||[]), ['Category','Subcategory','BudgetFrequency','BaseBudget','BudgetAmount','Rollover','CarriedIn','Transfers','ActualExpense','RemainingBudget','UsagePercentage','Status','ScheduledRemaining','ProjectedExpense','ProjectedOverrun','ForecastStatus']);
 
     // Liabilities & Upcoming
-    writeSection('Liabilities Upcoming', (dash.liabilitiesUpcoming||[]).map(l=>({Type:l.Type, Name:l.Name, Amount:l.Amount, Wallet:l.Wallet, Owner:l.Owner, DisplayDate:l.DisplayDate, DueDate:l.DueDate, isOverdue:l.isOverdue})), ['Type','Name','Amount','Wallet','Owner','DisplayDate','DueDate','isOverdue']);
+    // Untuk Type=Liabilities, Amount = sisa pokok (outstanding) per pinjaman
+    writeSection('Liabilities Upcoming', (dash.liabilitiesUpcoming||[]).map(l=>({Type:l.Type, Name:l.Name, Amount:l.Amount, Principal:l.Principal, Repaid:l.Repaid, Wallet:l.Wallet, Owner:l.Owner, DisplayDate:l.DisplayDate, DueDate:l.DueDate, isOverdue:l.isOverdue})), ['Type','Name','Amount','Principal','Repaid','Wallet','Owner','DisplayDate','DueDate','isOverdue']);
+
+    // Loans (sheet Loans) + jadwal amortisasi
+    const loans = dash.loans || [];
+    writeSection('Loans', loans, ['Loan','Wallet','Owner','Principal','InterestRate','TenorMonths','Installment','PaidCount','RemainingTenor','Outstanding','NextDueDate','PayoffDate']);
+    if (loans.length) {
+      const schedRows = [];
+      loans.forEach(l => (l.Schedule||[]).forEach(s => schedRows.push({ Loan: l.Loan, ...s })));
+      writeSection('Loan Schedule', schedRows, ['Loan','No','DueDate','Payment','Interest','PrincipalPart','Balance','Paid']);
+    }
+
+    // Orphan transfers
+    writeSection('Orphan Transfers', (dash.orphanTransfers||[]), ['Row','DisplayDate','Leg','Wallet','Owner','Amount','Currency','Description']);
+
+    // Kandidat duplikat (belum direview)
+    writeSection('Duplicate Candidates', (dash.duplicateCandidates||[]).map(d=>({RowA:d.A.Row, RowB:d.B.Row, DateA:d.A.DisplayDate, DateB:d.B.DisplayDate, Wallet:d.Wallet, Type:d.Type, Amount:d.Amount, Similarity:d.Similarity, DescriptionA:d.A.Description, DescriptionB:d.B.Description})), ['RowA','RowB','DateA','DateB','Wallet','Type','Amount','Similarity','DescriptionA','DescriptionB']);
+
+    // Langganan / tagihan berulang
+    writeSection('Subscriptions', (dash.subscriptions||[]), ['Description','Wallet','Owner','Category','Subcategory','Frequency','Occurrences','LastCharge','NextExpected','Amount','AnnualizedCost','PreviousAmount','PriceIncreasePct','Status','Scheduled']);
+
+    // Zakat mal per owner
+    const zakat = dash.zakat || {};
+    writeSection('Zakat', (zakat.Owners||[]).map(o=>({ ...o, AsOf: zakat.AsOf, Nisab: zakat.Nisab })), ['Owner','AsOf','ZakatableAssets','ShortTermLiabilities','NetZakatable','Nisab','MeetsNisab','Obligation','Paid','Remaining']);
+
+    // Transaksi tidak biasa
+    writeSection('Anomalies', (dash.anomalies||[]).map(a=>({...a, Rows: (a.Rows||[]).join(' ')})), ['Kind','DisplayDate','Wallet','Owner','Category','Subcategory','Purpose','Description','Amount','Expected','Score','Rows']);
 
     // Ratios
     writeSection('Expense Ratios', (dash.ratios||[]).map(r=>({RatioType:r.RatioType, TotalExpense:r.TotalExpense, Sources: JSON.stringify(r.BySource||{}) })), ['RatioType','TotalExpense','Sources']);
@@ -2001,6 +6056,17 @@ function exportDashboardCsv(period, filters, includeRawAll) {
     // Net Flow
     writeSection('Net Flow', (dash.netFlow||[]), ['PeriodLabel','Income','Expense','NetFlowAmount']);
 
+    // Net worth history (total + per owner)
+    const nwRows = [];
+    ((dash.netWorthHistory||{}).Series||[]).forEach(s => {
+      nwRows.push({ PeriodLabel: s.PeriodLabel, Owner: 'All', Assets: s.Assets, Liabilities: s.Liabilities, NetWorth: s.NetWorth });
+      Object.keys(s.ByOwner||{}).forEach(o => nwRows.push({ PeriodLabel: s.PeriodLabel, Owner: o, ...s.ByOwner[o] }));
+    });
+    writeSection('Net Worth History', nwRows, ['PeriodLabel','Owner','Assets','Liabilities','NetWorth']);
+
+    // Cash flow forecast (ringkasan per wallet likuid)
+    writeSection('Cash Flow Forecast', ((dash.cashFlowForecast||{}).Wallets||[]), ['Wallet','Owner','StartBalance','AvgDailyIncome','AvgDailyExpense','MinBalance','MinDate','FirstNegativeDate','EndBalance']);
+
     // Sankey
     if (dash.sankeyData && dash.sankeyData.length>1) {
       const sankeyRows = dash.sankeyData.slice(1).map(r => ({ From:r[0], To:r[1], Amount:r[2] }));
@@ -2027,6 +6093,8 @@ function exportDashboardCsv(period, filters, includeRawAll) {
       Date: safeDate(t.Date),
       Type: t.Type,
       Amount: t.Amount,
+      Currency: t.Currency,
+      OriginalAmount: t.OriginalAmount,
       Wallet: t.Wallet,
       Owner: t.Owner,
       Purpose: t.Purpose,
@@ -2034,14 +6102,17 @@ function exportDashboardCsv(period, filters, includeRawAll) {
       Subcategory: t.Subcategory,
       Note: t.Note,
       Description: t.Description,
-      Source: t.Source
-    })), ['Date','Type','Amount','Wallet','Owner','Purpose','Category','Subcategory','Note','Description','Source']);
+      Source: t.Source,
+      SplitOf: t.SplitOf || ''
+    })), ['Date','Type','Amount','Currency','OriginalAmount','Wallet','Owner','Purpose','Category','Subcategory','Note','Description','Source','SplitOf']);
 
     if (includeRawAll) {
       writeSection('Raw All Transactions', rawAllTx.map(t=>({
         Date: safeDate(t.Date),
         Type: t.Type,
         Amount: t.Amount,
+        Currency: t.Currency,
+        OriginalAmount: t.OriginalAmount,
         Wallet: t.Wallet,
         Owner: t.Owner,
         Purpose: t.Purpose,
@@ -2049,8 +6120,9 @@ function exportDashboardCsv(period, filters, includeRawAll) {
         Subcategory: t.Subcategory,
         Note: t.Note,
         Description: t.Description,
-        Source: t.Source
-      })), ['Date','Type','Amount','Wallet','Owner','Purpose','Category','Subcategory','Note','Description','Source']);
+        Source: t.Source,
+        SplitOf: t.SplitOf || ''
+      })), ['Date','Type','Amount','Currency','OriginalAmount','Wallet','Owner','Purpose','Category','Subcategory','Note','Description','Source','SplitOf']);
     }
 
     const csv = lines.join('\n');
@@ -2066,3 +6138,45 @@ function exportDashboardCsv(period, filters, includeRawAll) {
     throw new Error('Gagal menghasilkan export: '+ e.message);
   }
 }
+
+/**
+ * Ekspor laporan tahunan SPT (calculateTaxReport_) sebagai CSV ber-seksi terpisah dari export dashboard.
+ * @param {number} year Tahun kalender.
+ * @param {Object} filters walletOwner / baseCurrency.
+ * @returns {{filename:string, mime:string, contentBase64:string}}
+ */
+function exportTaxReportCsv(year, filters) {
+  try {
+    const report = calculateTaxReport_(year, filters || {});
+    const { lines, esc, writeSection } = createCsvWriter_();
+
+    lines.push(`# LAPORAN SPT TAHUNAN SatukasSatukas`);
+    lines.push(`Generated,${new Date().toISOString()}`);
+    lines.push(`Year,${report.Year}`);
+    lines.push(`BaseCurrency,${report.BaseCurrency}`);
+    if (report.Owner) lines.push(`Owner,${esc(report.Owner)}`);
+
+    writeSection('Income by Source Type', report.Income, ['SourceType','Total','Count']);
+    writeSection('Deductibles', report.Deductibles, ['Item','Total','Count']);
+    writeSection('Year-end Assets', report.Assets, ['Wallet','Owner','Balance']);
+    writeSection('Year-end Liabilities', report.Liabilities, ['Name','Owner','Outstanding']);
+    writeSection('Totals', [
+      { Metric: 'Income', Value: report.IncomeTotal },
+      { Metric: 'Deductibles', Value: report.DeductibleTotal },
+      { Metric: 'Assets (31 Dec)', Value: report.TotalAssets },
+      { Metric: 'Liabilities (31 Dec)', Value: report.TotalLiabilities },
+      { Metric: 'Net Worth (31 Dec)', Value: report.NetWorth }
+    ], ['Metric','Value']);
+    writeSection('Details', report.Details, ['Section','Group','Date','Description','Category','Subcategory','Wallet','Owner','Amount']);
+
+    const encoded = Utilities.base64Encode(lines.join('\n'), Utilities.Charset.UTF_8);
+    return {
+      filename: `sksk-spt-${report.Year}${report.Owner ? '-' + report.Owner.replace(/[^\w-]+/g, '_') : ''}.csv`,
+      mime: 'text/csv',
+      contentBase64: encoded
+    };
+  } catch(e) {
+    console.error('exportTaxReportCsv error', e.stack||e);
+    throw new Error('Gagal menghasilkan laporan pajak: '+ e.message);
+  }
+}